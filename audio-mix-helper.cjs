@@ -0,0 +1,174 @@
+/* ===========================================================
+   AUDIO MIX HELPER – SocialStormAI
+   -----------------------------------------------------------
+   - Music bed under narration: sidechain ducking + fade in/out
+   - Two-pass EBU R128 loudness normalization (ffmpeg loudnorm)
+     to a platform target, -14 LUFS by default
+   - ebur128 measurement of the finished file for verification
+   - **MAXIMUM LOGGING IN EVERY FUNCTION**
+   =========================================================== */
+
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+
+const DEFAULT_TARGET_LUFS = parseFloat(process.env.TARGET_LUFS) || -14;
+const DEFAULT_TRUE_PEAK = -1.5;
+const DEFAULT_LRA = 11;
+const LUFS_RANGE = [-30, -5];
+
+const DEFAULT_MIX = {
+  musicVolume: 0.3,   // music gain before ducking (linear)
+  fadeIn: 1.5,        // seconds
+  fadeOut: 2.5,       // seconds
+  duckThreshold: 0.02,
+  duckRatio: 10,
+  duckAttack: 15,     // ms
+  duckRelease: 450    // ms
+};
+
+// --- Clamp a requested LUFS target; null/invalid → default ---
+function resolveTargetLufs(value) {
+  const n = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(n)) return DEFAULT_TARGET_LUFS;
+  const clamped = Math.min(LUFS_RANGE[1], Math.max(LUFS_RANGE[0], n));
+  if (clamped !== n) console.warn(`[AUDIOMIX] targetLufs ${n} out of range, using ${clamped}`);
+  return clamped;
+}
+
+// --- Mix a music bed under the video's narration, ducking it whenever voice is present ---
+// musicPath should already be looped/trimmed to the video length (see music-helper.cjs).
+function mixMusicUnderVoice(videoPath, musicPath, outPath, { duration, ...options } = {}) {
+  const o = { ...DEFAULT_MIX, ...options };
+  return new Promise((resolve, reject) => {
+    console.log(`[AUDIOMIX] Ducking ${musicPath} under ${videoPath} → ${outPath} (duration: ${duration}s)`);
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    const fadeOutStart = Math.max(0, (duration || 0) - o.fadeOut);
+    // Same format on both sides, or sidechaincompress/amix fail to negotiate (e.g. s16 wav music under aac narration)
+    const AFORMAT = 'aformat=sample_fmts=fltp:sample_rates=44100:channel_layouts=stereo';
+    const musicChain = [AFORMAT, `volume=${o.musicVolume}`, `afade=t=in:st=0:d=${o.fadeIn}`];
+    if (duration) musicChain.push(`afade=t=out:st=${fadeOutStart.toFixed(3)}:d=${o.fadeOut}`);
+    const filters = [
+      `[1:a]${musicChain.join(',')}[music]`,
+      `[0:a]${AFORMAT},asplit=2[voice][sidechain]`,
+      `[music][sidechain]sidechaincompress=threshold=${o.duckThreshold}:ratio=${o.duckRatio}:attack=${o.duckAttack}:release=${o.duckRelease}[ducked]`,
+      // amix halves each input; restore the narration level
+      '[voice][ducked]amix=inputs=2:duration=first:dropout_transition=0,volume=2[mixa]'
+    ];
+    ffmpeg()
+      .input(videoPath)
+      .input(musicPath)
+      .complexFilter(filters)
+      .outputOptions(['-map', '0:v', '-map', '[mixa]', '-c:v', 'copy', '-c:a', 'aac', '-b:a', '192k', '-y'])
+      .save(outPath)
+      .on('end', () => {
+        console.log(`[AUDIOMIX] Ducked mix written: ${outPath}`);
+        resolve(outPath);
+      })
+      .on('error', err => {
+        console.error('[AUDIOMIX] Ducked mix failed:', err);
+        reject(err);
+      });
+  });
+}
+
+// --- loudnorm pass 1: measure, parsing the JSON block loudnorm prints to stderr ---
+function analyzeLoudnorm(inPath, { targetLufs, truePeak, lra }) {
+  return new Promise((resolve, reject) => {
+    console.log(`[AUDIOMIX] loudnorm analysis on ${inPath}`);
+    let stderr = '';
+    ffmpeg(inPath)
+      .audioFilters(`loudnorm=I=${targetLufs}:TP=${truePeak}:LRA=${lra}:print_format=json`)
+      .outputOptions(['-vn'])
+      .format('null')
+      .output('-')
+      .on('stderr', line => { stderr += line + '\n'; })
+      .on('end', () => {
+        const match = stderr.match(/\{[\s\S]*?"input_i"[\s\S]*?\}/);
+        if (!match) return reject(new Error('loudnorm analysis produced no measurements'));
+        try {
+          const stats = JSON.parse(match[0]);
+          console.log(`[AUDIOMIX] Measured I=${stats.input_i} LUFS, TP=${stats.input_tp} dBTP, LRA=${stats.input_lra}`);
+          resolve(stats);
+        } catch (err) {
+          reject(err);
+        }
+      })
+      .on('error', err => {
+        console.error('[AUDIOMIX] loudnorm analysis failed:', err);
+        reject(err);
+      })
+      .run();
+  });
+}
+
+// --- MAIN: normalize a video's audio to targetLufs (two-pass, linear when possible) ---
+async function normalizeLoudness(inPath, outPath, { targetLufs = DEFAULT_TARGET_LUFS, truePeak = DEFAULT_TRUE_PEAK, lra = DEFAULT_LRA } = {}) {
+  console.log(`[AUDIOMIX] Normalizing ${inPath} → ${outPath} to ${targetLufs} LUFS`);
+  const stats = await analyzeLoudnorm(inPath, { targetLufs, truePeak, lra });
+  const filter = [
+    `loudnorm=I=${targetLufs}:TP=${truePeak}:LRA=${lra}`,
+    `measured_I=${stats.input_i}`,
+    `measured_TP=${stats.input_tp}`,
+    `measured_LRA=${stats.input_lra}`,
+    `measured_thresh=${stats.input_thresh}`,
+    `offset=${stats.target_offset}`,
+    'linear=true'
+  ].join(':');
+  await new Promise((resolve, reject) => {
+    ffmpeg(inPath)
+      .audioFilters(filter)
+      // loudnorm upsamples internally; bring it back to the rest of the pipeline's rate
+      .outputOptions(['-c:v', 'copy', '-c:a', 'aac', '-b:a', '192k', '-ar', '44100', '-movflags', '+faststart', '-y'])
+      .save(outPath)
+      .on('end', resolve)
+      .on('error', err => {
+        console.error('[AUDIOMIX] loudnorm pass 2 failed:', err);
+        reject(err);
+      });
+  });
+  console.log(`[AUDIOMIX] Loudness normalized: ${outPath}`);
+  return { targetLufs, input: { integrated: parseFloat(stats.input_i), truePeak: parseFloat(stats.input_tp), lra: parseFloat(stats.input_lra) } };
+}
+
+// --- ebur128 summary of a file: { integrated, lra, truePeak } ---
+function measureLoudness(inPath) {
+  return new Promise((resolve, reject) => {
+    console.log(`[AUDIOMIX] ebur128 measurement on ${inPath}`);
+    let stderr = '';
+    ffmpeg(inPath)
+      .audioFilters('ebur128=peak=true')
+      .outputOptions(['-vn'])
+      .format('null')
+      .output('-')
+      .on('stderr', line => { stderr += line + '\n'; })
+      .on('end', () => {
+        // The summary is printed last; ignore the per-frame lines above it
+        const summary = stderr.slice(stderr.lastIndexOf('Summary:'));
+        const num = (re) => {
+          const m = summary.match(re);
+          return m ? parseFloat(m[1]) : null;
+        };
+        const result = {
+          integrated: num(/I:\s*(-?[\d.]+|-inf)\s*LUFS/),
+          lra: num(/LRA:\s*(-?[\d.]+)\s*LU\b/),
+          truePeak: num(/Peak:\s*(-?[\d.]+|-inf)\s*dBFS/)
+        };
+        console.log(`[AUDIOMIX] ebur128: I=${result.integrated} LUFS, LRA=${result.lra} LU, TP=${result.truePeak} dBFS`);
+        resolve(result);
+      })
+      .on('error', err => {
+        console.error('[AUDIOMIX] ebur128 measurement failed:', err);
+        reject(err);
+      })
+      .run();
+  });
+}
+
+module.exports = {
+  DEFAULT_TARGET_LUFS,
+  resolveTargetLufs,
+  mixMusicUnderVoice,
+  normalizeLoudness,
+  measureLoudness
+};
@@ -0,0 +1,281 @@
+/* ===========================================================
+   CAPTIONS HELPER – SocialStormAI
+   -----------------------------------------------------------
+   - Word timings: provider speech marks when available, else
+     alignment against the scene audio (ffmpeg silencedetect)
+   - Karaoke-style caption chunks rendered with Canvas using the
+     LuckiestGuy font (public/assets/fonts, registered by server.cjs)
+   - Burns the rendered overlays into a scene with ffmpeg
+   - Style presets selectable per request (CAPTION_PRESETS)
+   - **MAXIMUM LOGGING IN EVERY FUNCTION**
+   =========================================================== */
+
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+
+const CAPTION_PRESETS = {
+  karaoke: {
+    fontSize: 92, uppercase: true, color: '#ffffff', activeColor: '#ffe14d',
+    stroke: '#000000', strokeWidth: 10, activeScale: 1.15, box: null, y: 0.70, maxWords: 3
+  },
+  boxed: {
+    fontSize: 80, uppercase: false, color: '#ffffff', activeColor: '#00e0fe',
+    stroke: null, strokeWidth: 0, activeScale: 1.0, box: 'rgba(10, 20, 26, 0.72)', y: 0.74, maxWords: 4
+  },
+  minimal: {
+    fontSize: 70, uppercase: false, color: '#ffffff', activeColor: '#00e0fe',
+    stroke: 'rgba(0, 0, 0, 0.85)', strokeWidth: 6, activeScale: 1.0, box: null, y: 0.80, maxWords: 5
+  },
+  bold: {
+    fontSize: 120, uppercase: true, color: '#ffffff', activeColor: '#00e0fe',
+    stroke: '#0a2342', strokeWidth: 14, activeScale: 1.2, box: null, y: 0.55, maxWords: 1
+  }
+};
+const DEFAULT_PRESET = 'karaoke';
+
+// --- Resolve the request's captions option to a preset (null = captions off) ---
+// Accepts true, a preset name, or { style, maxWords, y }.
+function resolveCaptionStyle(option) {
+  if (!option) return null;
+  let name = DEFAULT_PRESET;
+  let overrides = {};
+  if (typeof option === 'string') name = option;
+  else if (typeof option === 'object') {
+    name = option.style || DEFAULT_PRESET;
+    if (Number.isInteger(option.maxWords) && option.maxWords > 0) overrides.maxWords = Math.min(option.maxWords, 8);
+    if (typeof option.y === 'number' && option.y > 0 && option.y < 1) overrides.y = option.y;
+  }
+  const preset = CAPTION_PRESETS[String(name).toLowerCase()];
+  if (!preset) {
+    console.warn(`[CAPTIONS] Unknown caption style "${name}", using ${DEFAULT_PRESET}`);
+    return { name: DEFAULT_PRESET, ...CAPTION_PRESETS[DEFAULT_PRESET], ...overrides };
+  }
+  return { name: String(name).toLowerCase(), ...preset, ...overrides };
+}
+
+// --- Find silent stretches in an audio file: [{ start, end }] ---
+function detectSilences(audioPath, { noise = '-35dB', minSilence = 0.15 } = {}) {
+  return new Promise((resolve, reject) => {
+    console.log(`[CAPTIONS] detectSilences on ${audioPath}`);
+    const silences = [];
+    let pending = null;
+    ffmpeg(audioPath)
+      .audioFilters(`silencedetect=noise=${noise}:d=${minSilence}`)
+      .format('null')
+      .output('-')
+      .on('stderr', line => {
+        const start = line.match(/silence_start:\s*([\d.]+)/);
+        const end = line.match(/silence_end:\s*([\d.]+)/);
+        if (start) pending = parseFloat(start[1]);
+        if (end && pending !== null) {
+          silences.push({ start: pending, end: parseFloat(end[1]) });
+          pending = null;
+        }
+      })
+      .on('end', () => {
+        console.log(`[CAPTIONS] Found ${silences.length} silences`);
+        resolve(silences);
+      })
+      .on('error', err => {
+        console.error('[CAPTIONS] silencedetect failed:', err.message);
+        reject(err);
+      })
+      .run();
+  });
+}
+
+// --- Align words to audio: spread them over the speech (non-silent) time, weighted by length ---
+// Returns [{ word, start, end }] in seconds relative to the audio start.
+async function alignWordsToAudio(text, audioPath, duration) {
+  const words = String(text).split(/\s+/).filter(Boolean);
+  if (!words.length) return [];
+
+  let silences = [];
+  try {
+    silences = await detectSilences(audioPath);
+  } catch (_) {
+    console.warn('[CAPTIONS] Falling back to even spread without silence detection');
+  }
+
+  // Speech segments = [0, duration] minus detected silences
+  const segments = [];
+  let cursor = 0;
+  for (const s of silences) {
+    if (s.start > cursor) segments.push({ start: cursor, end: Math.min(s.start, duration) });
+    cursor = Math.max(cursor, s.end);
+  }
+  if (cursor < duration) segments.push({ start: cursor, end: duration });
+  const speech = segments.filter(s => s.end - s.start > 0.02);
+  if (!speech.length) speech.push({ start: 0, end: duration });
+  const speechTotal = speech.reduce((sum, s) => sum + (s.end - s.start), 0);
+
+  // Map a position along the speech time onto the real timeline
+  const toTime = (t) => {
+    for (const s of speech) {
+      const len = s.end - s.start;
+      if (t <= len) return s.start + t;
+      t -= len;
+    }
+    return speech[speech.length - 1].end;
+  };
+
+  const weights = words.map(w => w.replace(/[^\w']/g, '').length + 1 + (/[.,!?;:—]$/.test(w) ? 3 : 0));
+  const totalWeight = weights.reduce((a, b) => a + b, 0);
+  let acc = 0;
+  const timings = words.map((word, i) => {
+    const start = toTime((acc / totalWeight) * speechTotal);
+    acc += weights[i];
+    const end = toTime((acc / totalWeight) * speechTotal);
+    return { word, start, end };
+  });
+  console.log(`[CAPTIONS] Aligned ${timings.length} words over ${speech.length} speech segments`);
+  return timings;
+}
+
+// --- Group word timings into on-screen chunks of up to maxWords ---
+function buildCaptionChunks(words, maxWords = 3) {
+  const chunks = [];
+  let current = [];
+  for (const w of words) {
+    current.push(w);
+    const endsSentence = /[.!?]$/.test(w.word);
+    if (current.length >= maxWords || endsSentence) {
+      chunks.push(current);
+      current = [];
+    }
+  }
+  if (current.length) chunks.push(current);
+  return chunks.map(c => ({ words: c, start: c[0].start, end: c[c.length - 1].end }));
+}
+
+// --- Draw one chunk with `activeIdx` highlighted; returns { buffer, height } ---
+function renderChunkImage(chunk, activeIdx, style, width) {
+  const { createCanvas } = require('canvas');
+  const fontFor = (active) => `${Math.round(style.fontSize * (active ? style.activeScale : 1))}px LuckiestGuy, Arial`;
+  const words = chunk.words.map(w => (style.uppercase ? w.word.toUpperCase() : w.word));
+
+  // Measure on a scratch canvas and greedily wrap to ~86% of the frame width
+  const scratch = createCanvas(10, 10).getContext('2d');
+  const maxLine = width * 0.86;
+  const space = style.fontSize * 0.3;
+  const lines = [[]];
+  let lineWidth = 0;
+  words.forEach((word, i) => {
+    scratch.font = fontFor(i === activeIdx);
+    const w = scratch.measureText(word).width;
+    if (lines[lines.length - 1].length && lineWidth + space + w > maxLine) {
+      lines.push([]);
+      lineWidth = 0;
+    }
+    lines[lines.length - 1].push({ word, i, w });
+    lineWidth += (lineWidth ? space : 0) + w;
+  });
+
+  const lineHeight = style.fontSize * style.activeScale * 1.15;
+  const pad = Math.round(style.fontSize * 0.35);
+  const height = Math.ceil(lines.length * lineHeight + pad * 2);
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.textBaseline = 'middle';
+  ctx.lineJoin = 'round';
+
+  lines.forEach((line, li) => {
+    const total = line.reduce((sum, item) => sum + item.w, 0) + space * (line.length - 1);
+    let x = (width - total) / 2;
+    const y = pad + lineHeight * (li + 0.5);
+    if (style.box) {
+      ctx.fillStyle = style.box;
+      const bx = x - pad, by = y - lineHeight / 2, bw = total + pad * 2, bh = lineHeight;
+      const r = Math.min(24, bh / 2);
+      ctx.beginPath();
+      ctx.moveTo(bx + r, by);
+      ctx.arcTo(bx + bw, by, bx + bw, by + bh, r);
+      ctx.arcTo(bx + bw, by + bh, bx, by + bh, r);
+      ctx.arcTo(bx, by + bh, bx, by, r);
+      ctx.arcTo(bx, by, bx + bw, by, r);
+      ctx.closePath();
+      ctx.fill();
+    }
+    for (const item of line) {
+      const active = item.i === activeIdx;
+      ctx.font = fontFor(active);
+      if (style.stroke && style.strokeWidth) {
+        ctx.strokeStyle = style.stroke;
+        ctx.lineWidth = style.strokeWidth;
+        ctx.strokeText(item.word, x, y);
+      }
+      ctx.fillStyle = active ? style.activeColor : style.color;
+      ctx.fillText(item.word, x, y);
+      x += item.w + space;
+    }
+  });
+
+  return { buffer: canvas.toBuffer('image/png'), height };
+}
+
+// --- Render every (chunk, active word) state to PNG overlays ---
+// `offset` shifts timings onto the scene timeline (e.g. narration lead-in).
+// Returns [{ path, start, end, y }] ready for burnCaptions().
+// Preset font sizes are for a 1080px short side and scale with the frame.
+function renderCaptionOverlays(words, presetStyle, { width, height, outDir, offset = 0, prefix = 'cap' }) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const style = { ...presetStyle, fontSize: presetStyle.fontSize * (Math.min(width, height) / 1080) };
+  const chunks = buildCaptionChunks(words, style.maxWords);
+  const overlays = [];
+  chunks.forEach((chunk, ci) => {
+    chunk.words.forEach((w, wi) => {
+      const next = chunk.words[wi + 1];
+      const start = w.start + offset;
+      // Hold the last word of a chunk until the next chunk starts (no flicker between chunks)
+      const nextChunk = chunks[ci + 1];
+      const end = (next ? next.start : (nextChunk ? nextChunk.start : chunk.end)) + offset;
+      if (end - start < 0.01) return;
+      const img = renderChunkImage(chunk, wi, style, width);
+      const file = path.join(outDir, `${prefix}-${ci}-${wi}.png`);
+      fs.writeFileSync(file, img.buffer);
+      overlays.push({ path: file, start, end, y: Math.round(height * style.y - img.height / 2) });
+    });
+  });
+  console.log(`[CAPTIONS] Rendered ${overlays.length} caption overlays (${chunks.length} chunks, style ${style.name})`);
+  return overlays;
+}
+
+// --- Burn overlays into a video; audio is copied untouched ---
+function burnCaptions(inPath, overlays, outPath) {
+  return new Promise((resolve, reject) => {
+    console.log(`[CAPTIONS] Burning ${overlays.length} overlays into ${inPath} → ${outPath}`);
+    if (!overlays.length) {
+      fs.copyFileSync(inPath, outPath);
+      return resolve();
+    }
+    const cmd = ffmpeg(inPath);
+    overlays.forEach(o => cmd.input(o.path));
+    const filters = overlays.map((o, i) => {
+      const from = i === 0 ? '[0:v]' : `[v${i}]`;
+      const to = i === overlays.length - 1 ? '[vout]' : `[v${i + 1}]`;
+      return `${from}[${i + 1}:v]overlay=0:${o.y}:enable='between(t,${o.start.toFixed(3)},${o.end.toFixed(3)})'${to}`;
+    });
+    cmd
+      .complexFilter(filters)
+      .outputOptions(['-map', '[vout]', '-map', '0:a?', '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-c:a', 'copy', '-y'])
+      .save(outPath)
+      .on('end', () => {
+        console.log(`[CAPTIONS] Captions burned: ${outPath}`);
+        resolve();
+      })
+      .on('error', err => {
+        console.error('[CAPTIONS] Burn failed:', err);
+        reject(err);
+      });
+  });
+}
+
+module.exports = {
+  CAPTION_PRESETS,
+  resolveCaptionStyle,
+  alignWordsToAudio,
+  buildCaptionChunks,
+  renderCaptionOverlays,
+  burnCaptions
+};
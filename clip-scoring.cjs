@@ -0,0 +1,137 @@
+/* ===========================================================
+   CLIP SCORING – SocialStormAI
+   -----------------------------------------------------------
+   - Ranks clip candidates from every source (R2, Pexels, Pixabay)
+   - Score = weighted mix of:
+       keywords     – overlap with the subject, scene line and title
+       similarity   – string-similarity of subject vs. clip text
+       duration     – clip long enough for the scene (no looping)
+       orientation  – closeness to the output frame's aspect
+                      (9:16 unless the job renders another primary format)
+       resolution   – short side vs. 1080
+   - Logs the per-candidate breakdown for every scene
+   - **MAXIMUM LOGGING IN EVERY FUNCTION**
+   =========================================================== */
+
+const stringSimilarity = require('string-similarity');
+
+const WEIGHTS = {
+  keywords: 0.35,
+  similarity: 0.15,
+  duration: 0.2,
+  orientation: 0.15,
+  resolution: 0.15
+};
+// Curated library clips win ties against stock results
+const SOURCE_BONUS = { r2: 0.05, pexels: 0, pixabay: 0 };
+const UNKNOWN = 0.5;
+const DEFAULT_FRAME = { width: 1080, height: 1920 };
+
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'of', 'in', 'on', 'at', 'to', 'for', 'with', 'from', 'by', 'as',
+  'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'these', 'those', 'you', 'your',
+  'we', 'our', 'they', 'their', 'he', 'she', 'his', 'her', 'did', 'do', 'does', 'know', 'just', 'so',
+  'can', 'will', 'would', 'could', 'what', 'when', 'where', 'why', 'how', 'who', 'than', 'then', 'there',
+  'here', 'about', 'into', 'over', 'more', 'most', 'very', 'really', 'ever', 'every', 'one', 'all', 'has',
+  'have', 'had', 'not', 'no', 'yes', 'up', 'out', 'if', 'now', 'only', 'also', 'even', 'like', 'video', 'clip'
+]);
+
+// --- "Lions roaring!" → ["lion", "roaring"] (lowercase, light plural stemming, no stopwords) ---
+function keywordsOf(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(w => w.length > 1 && !STOPWORDS.has(w) && !/^\d+$/.test(w))
+    .map(w => (w.length > 3 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w));
+}
+
+function overlap(words, pool) {
+  if (!words.length) return 0;
+  const set = new Set(pool);
+  return words.filter(w => set.has(w)).length / words.length;
+}
+
+// --- Individual factors, each 0..1 ---
+function keywordScore(candidateWords, { subject, sceneLine, title }) {
+  const subjectWords = [...new Set(keywordsOf(subject))];
+  const lineWords = [...new Set(keywordsOf(sceneLine))].slice(0, 8);
+  const titleWords = [...new Set(keywordsOf(title))].slice(0, 5);
+  return 0.6 * overlap(subjectWords, candidateWords)
+    + 0.25 * overlap(lineWords, candidateWords)
+    + 0.15 * overlap(titleWords, candidateWords);
+}
+
+function durationScore(duration, targetDuration) {
+  if (!duration || !targetDuration) return UNKNOWN;
+  if (duration >= targetDuration) {
+    // Much longer clips are fine, just slightly less likely to stay on-topic
+    return duration > targetDuration * 4 ? 0.85 : 1;
+  }
+  return Math.pow(duration / targetDuration, 1.5);
+}
+
+// How far the clip's shape is from the frame's: 1 = same aspect, 16/9 ÷ 9/16 ≈ 3.2 = opposite orientation
+function orientationScore(width, height, frameWidth = DEFAULT_FRAME.width, frameHeight = DEFAULT_FRAME.height) {
+  if (!width || !height) return UNKNOWN;
+  const rel = (height / width) / (frameHeight / frameWidth);
+  const mismatch = Math.max(rel, 1 / rel);
+  if (mismatch <= 1.2) return 1;    // same shape (e.g. 9:16 clip for a 9:16 frame)
+  if (mismatch <= 1.7) return 0.85; // near (4:5 or 3:4 for 9:16; 4:3 for 16:9)
+  if (mismatch <= 1.9) return 0.65; // square into a tall or wide frame
+  return 0.4;                       // opposite orientation: blurred letterbox
+}
+
+function resolutionScore(width, height) {
+  if (!width || !height) return UNKNOWN;
+  return Math.min(1, Math.min(width, height) / 1080);
+}
+
+// --- MAIN: score one candidate ---
+// candidate: { source, id, text, width, height, duration }
+// context:   { subject, sceneLine, title, targetDuration, frameWidth, frameHeight }
+function scoreCandidate(candidate, context) {
+  const candidateText = candidate.text || '';
+  const candidateWords = keywordsOf(candidateText);
+  const breakdown = {
+    keywords: keywordScore(candidateWords, context),
+    similarity: candidateText
+      ? stringSimilarity.compareTwoStrings(String(context.subject || '').toLowerCase(), candidateText.toLowerCase())
+      : 0,
+    duration: durationScore(candidate.duration, context.targetDuration),
+    orientation: orientationScore(candidate.width, candidate.height, context.frameWidth, context.frameHeight),
+    resolution: resolutionScore(candidate.width, candidate.height)
+  };
+  const total = Object.entries(WEIGHTS).reduce((sum, [k, w]) => sum + w * breakdown[k], 0)
+    + (SOURCE_BONUS[candidate.source] || 0);
+  return { total: Math.round(total * 1000) / 1000, breakdown };
+}
+
+// --- Rank candidates best-first, attaching { score, breakdown }; logs the table ---
+function rankCandidates(candidates, context, label = '') {
+  const ranked = candidates
+    .map(c => {
+      const { total, breakdown } = scoreCandidate(c, context);
+      return { ...c, score: total, breakdown };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  console.log(`[SCORE] ${label} ${ranked.length} candidates | subject="${context.subject}" | target=${context.targetDuration ? context.targetDuration.toFixed(2) + 's' : '?'}`);
+  ranked.slice(0, 10).forEach((c, i) => {
+    const b = c.breakdown;
+    console.log(
+      `[SCORE]  #${i + 1} ${c.score.toFixed(3)} ${c.source}:${c.id} ` +
+      `kw=${b.keywords.toFixed(2)} sim=${b.similarity.toFixed(2)} dur=${b.duration.toFixed(2)} ` +
+      `orient=${b.orientation.toFixed(2)} res=${b.resolution.toFixed(2)} ` +
+      `(${c.width || '?'}x${c.height || '?'}, ${c.duration || '?'}s)`
+    );
+  });
+  return ranked;
+}
+
+module.exports = {
+  WEIGHTS,
+  keywordsOf,
+  scoreCandidate,
+  rankCandidates
+};
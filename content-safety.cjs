@@ -0,0 +1,170 @@
+/* ===========================================================
+   CONTENT SAFETY – SocialStormAI
+   -----------------------------------------------------------
+   - Screens narration before we spend TTS / render time:
+       1. blocked-terms list (blocked-terms.txt, BLOCKED_TERMS_FILE,
+          plus comma-separated BLOCKED_TERMS) – whole-word match
+       2. OpenAI moderation (MODERATION_MODEL), one call per batch,
+          results cached per line
+   - Run on /api/generate-script output and /api/generate-video input
+   - If the moderation API is down we fail open (blocked terms
+     still apply) and say so in the result
+   - flagClaims(): optional "fact flag" pass – lines that state
+     specific facts that are likely unverifiable or false.
+     Advisory only, never blocks; never throws
+   - **MAXIMUM LOGGING IN EVERY FUNCTION**
+   =========================================================== */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { stripMarkup } = require('./ssml-helper.cjs');
+const { lruSet } = require('./lru-cache.cjs');
+
+const MODERATION_MODEL = process.env.MODERATION_MODEL || 'omni-moderation-latest';
+const FACT_CHECK_MODEL = process.env.FACT_CHECK_MODEL || 'gpt-4o-mini';
+const BLOCKED_TERMS_FILE = process.env.BLOCKED_TERMS_FILE || path.resolve(__dirname, 'blocked-terms.txt');
+const CACHE_LIMIT = 500;
+
+const moderationCache = new Map(); // line hash → { flagged, categories } (insertion order = LRU)
+let blockedTerms = null; // [{ term, re }]
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// --- File + env terms, compiled once ---
+function loadBlockedTerms() {
+  if (blockedTerms) return blockedTerms;
+  let fileTerms = [];
+  try {
+    fileTerms = fs.readFileSync(BLOCKED_TERMS_FILE, 'utf8').split('\n');
+  } catch (err) {
+    console.warn(`[SAFETY] No blocked-terms file at ${BLOCKED_TERMS_FILE}: ${err.message}`);
+  }
+  const envTerms = String(process.env.BLOCKED_TERMS || '').split(',');
+  const terms = [...new Set([...fileTerms, ...envTerms]
+    .map(t => t.trim().toLowerCase())
+    .filter(t => t && !t.startsWith('#')))];
+  // Whole words only, any whitespace between the words of a phrase
+  blockedTerms = terms.map(term => ({
+    term,
+    re: new RegExp(`(^|[^\\p{L}\\p{N}])${term.split(/\s+/).map(escapeRegExp).join('\\s+')}(?=$|[^\\p{L}\\p{N}])`, 'iu')
+  }));
+  console.log(`[SAFETY] Loaded ${blockedTerms.length} blocked terms`);
+  return blockedTerms;
+}
+
+function lineHash(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+// --- Moderation results per text (cached); null entries when the API failed ---
+async function moderateTexts(openai, texts) {
+  const results = texts.map(t => moderationCache.get(lineHash(t)) || null);
+  const pending = texts.map((t, i) => (results[i] ? null : i)).filter(i => i !== null);
+  if (!pending.length) {
+    console.log(`[SAFETY] Moderation cache hit for all ${texts.length} texts`);
+    return { results, available: true };
+  }
+  try {
+    if (!openai) throw new Error('OpenAI client not available');
+    console.log(`[SAFETY] Moderating ${pending.length} texts with ${MODERATION_MODEL}`);
+    const response = await openai.moderations.create({
+      model: MODERATION_MODEL,
+      input: pending.map(i => texts[i])
+    });
+    pending.forEach((textIdx, k) => {
+      const r = response?.results?.[k];
+      if (!r) return;
+      const entry = {
+        flagged: !!r.flagged,
+        categories: Object.keys(r.categories || {}).filter(c => r.categories[c])
+      };
+      results[textIdx] = entry;
+      lruSet(moderationCache, lineHash(texts[textIdx]), entry, CACHE_LIMIT);
+    });
+    return { results, available: true };
+  } catch (err) {
+    console.error('[SAFETY] Moderation API failed, continuing with blocked terms only:', err.message);
+    return { results, available: false };
+  }
+}
+
+// --- MAIN: { lines: [...], title?, description? } → { allowed, moderation, flagged } ---
+// flagged: [{ field: 'line'|'title'|'description', line (1-based, lines only), text, terms, categories }]
+// moderation: 'ok' | 'unavailable'
+async function checkContentSafety(openai, { lines = [], title = '', description = '' } = {}) {
+  const entries = [
+    ...lines.map((l, i) => ({ field: 'line', line: i + 1, text: stripMarkup(l) })),
+    ...(title ? [{ field: 'title', text: String(title).trim() }] : []),
+    ...(description ? [{ field: 'description', text: String(description).trim() }] : [])
+  ].filter(e => e.text);
+  console.log(`[SAFETY] Checking ${entries.length} texts (${lines.length} lines)`);
+
+  const terms = loadBlockedTerms();
+  const { results, available } = await moderateTexts(openai, entries.map(e => e.text));
+
+  const flagged = [];
+  entries.forEach((entry, i) => {
+    const hitTerms = terms.filter(t => t.re.test(entry.text)).map(t => t.term);
+    const mod = results[i];
+    if (hitTerms.length || (mod && mod.flagged)) {
+      flagged.push({ ...entry, terms: hitTerms, categories: mod ? mod.categories : [] });
+    }
+  });
+
+  if (flagged.length) console.warn(`[SAFETY] ${flagged.length} texts flagged:`, flagged);
+  else console.log(`[SAFETY] Passed${available ? '' : ' (blocked terms only, moderation unavailable)'}`);
+  return { allowed: !flagged.length, moderation: available ? 'ok' : 'unavailable', flagged };
+}
+
+function buildFactPrompt(lines) {
+  return `
+You review narration for a short educational video before it is published.
+
+Flag lines that state a specific fact which is likely FALSE, a myth, a rumor presented as fact,
+or impossible to verify (secret rooms, "they don't want you to know", unsourced numbers).
+Do NOT flag opinions, jokes, questions, hooks, or well-established facts.
+
+== OUTPUT ==
+JSON only: {"flags":[{"line":3,"reason":"short reason, under 20 words"}]} – empty list if nothing is dubious.
+
+Script:
+${lines.map((l, i) => `${i + 1}. ${l}`).join('\n')}
+  `.trim();
+}
+
+// --- Optional fact flag pass: [{ line (1-based), text, reason }]; never throws ---
+async function flagClaims(openai, lines) {
+  const plain = lines.map(stripMarkup);
+  try {
+    if (!openai) throw new Error('OpenAI client not available');
+    console.log(`[SAFETY] Fact-flag pass with ${FACT_CHECK_MODEL} (${plain.length} lines)`);
+    const completion = await openai.chat.completions.create({
+      model: FACT_CHECK_MODEL,
+      temperature: 0,
+      max_tokens: 600,
+      response_format: { type: 'json_object' },
+      messages: [{ role: 'system', content: buildFactPrompt(plain) }]
+    });
+    const raw = completion?.choices?.[0]?.message?.content || '';
+    console.log('[SAFETY] Fact-flag raw output:', raw);
+    const parsed = JSON.parse(raw);
+    const seen = new Set();
+    const flags = (Array.isArray(parsed.flags) ? parsed.flags : [])
+      .map(f => ({ line: parseInt(f && f.line, 10), reason: String((f && f.reason) || '').trim() }))
+      .filter(f => f.line >= 1 && f.line <= plain.length && f.reason && !seen.has(f.line) && seen.add(f.line))
+      .map(f => ({ line: f.line, text: plain[f.line - 1], reason: f.reason }));
+    console.log(`[SAFETY] ${flags.length} lines flagged as possibly unverifiable`);
+    return flags;
+  } catch (err) {
+    console.error('[SAFETY] Fact-flag pass failed, returning no flags:', err.message);
+    return [];
+  }
+}
+
+module.exports = {
+  checkContentSafety,
+  flagClaims
+};
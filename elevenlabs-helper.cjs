@@ -0,0 +1,151 @@
+/* ===========================================================
+   ELEVENLABS HELPER – SocialStormAI
+   -----------------------------------------------------------
+   - Text-to-speech via the ElevenLabs REST API
+   - Voice settings (stability, similarity, style) with defaults
+   - Retries on 429 / 5xx with backoff (honors Retry-After)
+   - Character-usage accounting (process totals + per call)
+   - Base URL is configurable (ELEVENLABS_API_URL) so it can be
+     pointed at a local mock server
+   - **MAXIMUM LOGGING IN EVERY FUNCTION**
+   =========================================================== */
+
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+// ENV
+const ELEVENLABS_API_URL = (process.env.ELEVENLABS_API_URL || 'https://api.elevenlabs.io').replace(/\/+$/, '');
+const ELEVENLABS_MODEL_ID = process.env.ELEVENLABS_MODEL_ID || 'eleven_multilingual_v2';
+const ELEVENLABS_MAX_RETRIES = parseInt(process.env.ELEVENLABS_MAX_RETRIES, 10) || 3;
+
+const DEFAULT_VOICE_SETTINGS = {
+  stability: 0.5,
+  similarity: 0.75,
+  style: 0,
+  speakerBoost: true
+};
+
+// Process-wide usage counters (characters are what ElevenLabs bills)
+const usage = {
+  characters: 0,
+  requests: 0,
+  retries: 0,
+  failures: 0,
+  byVoice: {}
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// --- Util: clamp a 0..1 setting, falling back to the default ---
+function clampSetting(value, fallback) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(1, Math.max(0, n));
+}
+
+// --- Map our setting names onto the API's voice_settings body ---
+function buildVoiceSettings(settings = {}) {
+  const s = { ...DEFAULT_VOICE_SETTINGS, ...settings };
+  return {
+    stability: clampSetting(s.stability, DEFAULT_VOICE_SETTINGS.stability),
+    similarity_boost: clampSetting(s.similarity, DEFAULT_VOICE_SETTINGS.similarity),
+    style: clampSetting(s.style, DEFAULT_VOICE_SETTINGS.style),
+    use_speaker_boost: s.speakerBoost !== false
+  };
+}
+
+// --- 429 and 5xx are worth retrying; anything else is our fault ---
+function isRetryable(err) {
+  if (!err.response) return true; // network error / timeout
+  const status = err.response.status;
+  return status === 429 || status >= 500;
+}
+
+function retryDelayMs(err, attempt) {
+  const retryAfter = err.response && err.response.headers && err.response.headers['retry-after'];
+  const seconds = parseFloat(retryAfter);
+  if (Number.isFinite(seconds) && seconds >= 0) return Math.min(seconds * 1000, 30000);
+  return Math.min(500 * 2 ** (attempt - 1), 8000);
+}
+
+// --- Error body comes back as an arraybuffer; decode it for the logs ---
+function describeError(err) {
+  if (!err.response) return err.message;
+  let body = err.response.data;
+  try {
+    if (body && (body instanceof ArrayBuffer || Buffer.isBuffer(body))) body = Buffer.from(body).toString('utf8');
+  } catch (_) { /* keep raw body */ }
+  return `HTTP ${err.response.status}: ${typeof body === 'string' ? body.slice(0, 300) : JSON.stringify(body)}`;
+}
+
+function recordUsage(voiceId, characters) {
+  usage.characters += characters;
+  usage.requests++;
+  usage.byVoice[voiceId] = (usage.byVoice[voiceId] || 0) + characters;
+}
+
+// --- MAIN: synthesize text to an mp3 file ---
+// Returns { characters, attempts } for per-job accounting.
+async function generateElevenLabsTTS(text, voiceId, outPath, options = {}) {
+  const apiKey = options.apiKey || process.env.ELEVENLABS_API_KEY;
+  const baseUrl = (options.baseUrl || ELEVENLABS_API_URL).replace(/\/+$/, '');
+  const maxRetries = options.maxRetries ?? ELEVENLABS_MAX_RETRIES;
+  const modelId = options.modelId || ELEVENLABS_MODEL_ID;
+  console.log(`[11LABS] Synthesizing speech: "${text}" [voice: ${voiceId}, model: ${modelId}] → ${outPath}`);
+
+  if (!apiKey) throw new Error('ELEVENLABS_API_KEY not set');
+  if (!text || !voiceId || !outPath) throw new Error('Missing input for generateElevenLabsTTS');
+
+  const url = `${baseUrl}/v1/text-to-speech/${encodeURIComponent(voiceId)}`;
+  const body = {
+    text,
+    model_id: modelId,
+    voice_settings: buildVoiceSettings(options.voiceSettings)
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const resp = await axios.post(url, body, {
+        headers: {
+          'xi-api-key': apiKey,
+          'Content-Type': 'application/json',
+          'Accept': 'audio/mpeg'
+        },
+        params: { output_format: 'mp3_44100_128' },
+        responseType: 'arraybuffer',
+        timeout: options.timeout || 60000
+      });
+      const audio = Buffer.from(resp.data);
+      if (!audio.length) throw new Error('ElevenLabs returned empty audio');
+
+      fs.mkdirSync(path.dirname(outPath), { recursive: true });
+      fs.writeFileSync(outPath, audio);
+      recordUsage(voiceId, text.length);
+      console.log(`[11LABS] Audio written: ${outPath} (${audio.length} bytes, ${text.length} chars, attempt ${attempt})`);
+      return { characters: text.length, attempts: attempt };
+    } catch (err) {
+      if (attempt > maxRetries || !isRetryable(err)) {
+        usage.failures++;
+        console.error(`[ERR][11LABS] TTS failed for voice ${voiceId} after ${attempt} attempt(s): ${describeError(err)}`);
+        throw new Error(`ElevenLabs TTS failed: ${describeError(err)}`);
+      }
+      const wait = retryDelayMs(err, attempt);
+      usage.retries++;
+      console.warn(`[11LABS] Attempt ${attempt} failed (${describeError(err)}), retrying in ${wait}ms...`);
+      await sleep(wait);
+    }
+  }
+}
+
+function getElevenLabsUsage() {
+  return { ...usage, byVoice: { ...usage.byVoice } };
+}
+
+module.exports = {
+  DEFAULT_VOICE_SETTINGS,
+  generateElevenLabsTTS,
+  getElevenLabsUsage
+};
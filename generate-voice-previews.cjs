@@ -0,0 +1,64 @@
+/* ===========================================================
+   VOICE PREVIEW GENERATOR – SocialStormAI
+   -----------------------------------------------------------
+   - Renders a short sample for each Google voice into
+     public/voice-previews/sample_<voice>.mp3
+   - Skips voices that already have a preview unless forced
+   - Usage: node generate-voice-previews.cjs [--force] [voice ...]
+   =========================================================== */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { GOOGLE_VOICES, languageCodeFor, generateGoogleTTS } = require('./google-tts-helper.cjs');
+
+const PREVIEW_DIR = path.join(__dirname, 'public', 'voice-previews');
+const SAMPLE_TEXT = "This is a sample of my voice.";
+
+function previewPathFor(voiceId, outDir = PREVIEW_DIR) {
+  return path.join(outDir, `sample_${voiceId}.mp3`);
+}
+
+// Generate previews for the given voices (defaults to the whole Google catalog).
+// Returns { generated: [...ids], skipped: [...ids], failed: [...ids] }.
+async function generateVoicePreviews({ voices = GOOGLE_VOICES, outDir = PREVIEW_DIR, text = SAMPLE_TEXT, force = false } = {}) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const result = { generated: [], skipped: [], failed: [] };
+  for (const voice of voices) {
+    const outPath = previewPathFor(voice.id, outDir);
+    if (!force && fs.existsSync(outPath)) {
+      console.log(`[PREVIEW] Exists, skipping: ${outPath}`);
+      result.skipped.push(voice.id);
+      continue;
+    }
+    try {
+      await generateGoogleTTS(text, voice.id, outPath, { languageCode: voice.languageCode });
+      console.log(`[PREVIEW] Generated sample: ${outPath}`);
+      result.generated.push(voice.id);
+    } catch (err) {
+      console.error(`[PREVIEW] Failed for ${voice.id}:`, err.message);
+      result.failed.push(voice.id);
+    }
+  }
+  return result;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const ids = args.filter(a => !a.startsWith('--'));
+  const voices = ids.length
+    ? ids.map(id => GOOGLE_VOICES.find(v => v.id === id) || { id, languageCode: languageCodeFor(id) })
+    : GOOGLE_VOICES;
+  generateVoicePreviews({ voices, force })
+    .then(r => {
+      console.log(`[PREVIEW] Done. Generated: ${r.generated.length}, skipped: ${r.skipped.length}, failed: ${r.failed.length}`);
+      if (r.failed.length) process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  PREVIEW_DIR,
+  previewPathFor,
+  generateVoicePreviews
+};
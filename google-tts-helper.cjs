@@ -0,0 +1,98 @@
+/* ===========================================================
+   GOOGLE TTS HELPER – SocialStormAI
+   -----------------------------------------------------------
+   - Text-to-speech via Google Cloud Text-to-Speech
+   - Google voice catalog (tier/gender/preview) for /api/voices
+   - Credentials come from GOOGLE_APPLICATION_CREDENTIALS
+   - **MAXIMUM LOGGING IN EVERY FUNCTION**
+   =========================================================== */
+
+const fs = require('fs');
+const path = require('path');
+
+// Google voices offered in the app. Previews live in public/voice-previews
+// as sample_<voice name>.mp3 (see generate-voice-previews.cjs); voices without
+// a rendered sample have no preview, so the picker disables the button.
+const GOOGLE_VOICES = [
+  { id: "en-US-Neural2-D", name: "Dylan (US Male)", description: "Google Neural2, Male, US English", gender: "male", tier: "Free" },
+  { id: "en-US-Neural2-J", name: "Jake (US Male)", description: "Google Neural2, Male, US English", gender: "male", tier: "Free" },
+  { id: "en-US-Neural2-F", name: "Faith (US Female)", description: "Google Neural2, Female, US English", gender: "female", tier: "Free" },
+  { id: "en-US-Neural2-G", name: "Grace (US Female)", description: "Google Neural2, Female, US English", gender: "female", tier: "Free" },
+  { id: "en-US-Wavenet-F", name: "Fiona (US Female)", description: "Google WaveNet, Female, US English", gender: "female", tier: "Free" },
+  { id: "en-US-Wavenet-H", name: "Hannah (US Female)", description: "Google WaveNet, Female, US English", gender: "female", tier: "Free" },
+  { id: "en-US-Studio-M", name: "Marcus (Studio Male)", description: "Google Studio, Male, US English", gender: "male", tier: "Pro" },
+  { id: "en-US-Studio-Q", name: "Quinn (Studio Male)", description: "Google Studio, Male, US English", gender: "male", tier: "Pro" },
+  { id: "en-US-Studio-O", name: "Olivia (Studio Female)", description: "Google Studio, Female, US English", gender: "female", tier: "Pro" },
+  // Non-English voices for scripts written in other languages (see script-prompts.cjs)
+  { id: "es-US-Neural2-A", name: "Lucia (Spanish Female)", description: "Google Neural2, Female, US Spanish", gender: "female", tier: "Free" },
+  { id: "es-US-Neural2-B", name: "Mateo (Spanish Male)", description: "Google Neural2, Male, US Spanish", gender: "male", tier: "Free" },
+  { id: "fr-FR-Neural2-A", name: "Camille (French Female)", description: "Google Neural2, Female, French", gender: "female", tier: "Free" },
+  { id: "fr-FR-Neural2-B", name: "Louis (French Male)", description: "Google Neural2, Male, French", gender: "male", tier: "Free" },
+  { id: "de-DE-Neural2-C", name: "Lena (German Female)", description: "Google Neural2, Female, German", gender: "female", tier: "Free" },
+  { id: "de-DE-Neural2-B", name: "Jonas (German Male)", description: "Google Neural2, Male, German", gender: "male", tier: "Free" },
+  { id: "pt-BR-Neural2-A", name: "Ana (Portuguese Female)", description: "Google Neural2, Female, Brazilian Portuguese", gender: "female", tier: "Free" },
+  { id: "pt-BR-Neural2-B", name: "Rafael (Portuguese Male)", description: "Google Neural2, Male, Brazilian Portuguese", gender: "male", tier: "Free" }
+].map(v => ({
+  ...v,
+  provider: "google",
+  languageCode: languageCodeFor(v.id),
+  preview: previewFor(v.id),
+  disabled: false
+}));
+
+let client = null;
+
+function previewFor(voiceName) {
+  const file = `sample_${voiceName}.mp3`;
+  return fs.existsSync(path.join(__dirname, 'public', 'voice-previews', file)) ? `/voice-previews/${file}` : null;
+}
+
+// --- Voice names start with their language code: "en-US-Neural2-D" → "en-US" ---
+function languageCodeFor(voiceName) {
+  return String(voiceName).split('-').slice(0, 2).join('-');
+}
+
+// --- Lazily create the client so the server boots without Google credentials ---
+function getClient() {
+  if (!client) {
+    const textToSpeech = require('@google-cloud/text-to-speech');
+    client = new textToSpeech.TextToSpeechClient();
+    console.log('[GOOGLE-TTS] TextToSpeechClient initialized.');
+  }
+  return client;
+}
+
+// --- MAIN: synthesize text to an mp3 file ---
+// Returns { characters } for per-job accounting.
+async function generateGoogleTTS(text, voiceName, outPath, options = {}) {
+  console.log(`[GOOGLE-TTS] Synthesizing speech: "${text}" [voice: ${voiceName}] → ${outPath}`);
+  if (!text || !voiceName || !outPath) throw new Error('Missing input for generateGoogleTTS');
+  try {
+    const request = {
+      input: options.ssml ? { ssml: text } : { text },
+      voice: { languageCode: options.languageCode || languageCodeFor(voiceName), name: voiceName },
+      audioConfig: {
+        audioEncoding: 'MP3',
+        speakingRate: options.speakingRate || 1.0,
+        pitch: options.pitch || 0
+      }
+    };
+    const [response] = await getClient().synthesizeSpeech(request);
+    if (!response || !response.audioContent || !response.audioContent.length) {
+      throw new Error('Google TTS returned empty audio');
+    }
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, response.audioContent, 'binary');
+    console.log(`[GOOGLE-TTS] Audio written: ${outPath}`);
+    return { characters: text.length };
+  } catch (err) {
+    console.error(`[ERR][GOOGLE-TTS] TTS failed for voice ${voiceName} text: "${text}"`, err);
+    throw err;
+  }
+}
+
+module.exports = {
+  GOOGLE_VOICES,
+  languageCodeFor,
+  generateGoogleTTS
+};
@@ -0,0 +1,310 @@
+/* ===========================================================
+   JOB STORE & QUEUE – SocialStormAI
+   -----------------------------------------------------------
+   - Durable job records (status, stage, inputs, outputs, error)
+     persisted as one JSON file per job under /jobs
+   - Bounded FIFO worker pool (JOB_CONCURRENCY, default 2)
+   - Boot recovery: re-queues orphaned jobs, sweeps stale renders/
+   - Live events (jobEvents) for the SSE progress stream
+   - **MAXIMUM LOGGING IN EVERY FUNCTION**
+   =========================================================== */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const fsExtra = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+
+// ENV
+const JOBS_DIR = path.join(__dirname, 'jobs');
+const RENDERS_DIR = path.join(__dirname, 'renders');
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY, 10) || 2);
+const JOB_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 2);
+const JOB_RETENTION_HOURS = parseFloat(process.env.JOB_RETENTION_HOURS) || 72;
+const MAX_EVENTS_PER_JOB = 300;
+
+// Job lifecycle: queued → running → done | failed
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+const jobs = {};      // jobId → record (in-memory mirror of /jobs)
+const queue = [];     // FIFO of queued jobIds
+let running = 0;
+let jobWorker = null;
+
+// 'update' (job) on every record change, 'event' (event) for pipeline stages
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+const recentEvents = {}; // jobId → last MAX_EVENTS_PER_JOB stage events (replayed to late subscribers)
+
+// --- Util: path of the JSON record for a job ---
+function jobFilePath(jobId) {
+  return path.join(JOBS_DIR, `${jobId}.json`);
+}
+
+// --- Persist a job record atomically (write tmp, then rename) ---
+function persistJob(job) {
+  try {
+    fs.mkdirSync(JOBS_DIR, { recursive: true });
+    const file = jobFilePath(job.id);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(job, null, 2));
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    console.error(`[JOBS] Failed to persist job ${job.id}:`, err);
+  }
+}
+
+// --- Create and persist a new queued job ---
+function createJob(input = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: uuidv4(),
+    status: JOB_STATUS.QUEUED,
+    stage: 'queued',
+    percent: 0,
+    message: 'Queued',
+    input,
+    result: null,
+    error: null,
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+  jobs[job.id] = job;
+  persistJob(job);
+  console.log(`[JOBS] Created job ${job.id}`);
+  return job;
+}
+
+function getJob(jobId) {
+  return jobs[jobId] || null;
+}
+
+function isFinished(job) {
+  return job.status === JOB_STATUS.DONE || job.status === JOB_STATUS.FAILED;
+}
+
+// --- Merge a patch into a job record and persist it ---
+// Finished (done/failed) records are final: a pipeline still running after the
+// watchdog failed its job can't flip it back or overwrite the outcome.
+function updateJob(jobId, patch = {}) {
+  const job = jobs[jobId];
+  if (!job) {
+    console.warn(`[JOBS] updateJob called for unknown job ${jobId}`);
+    return null;
+  }
+  if (isFinished(job)) {
+    console.warn(`[JOBS] Ignoring update to finished job ${jobId} (${job.status}):`, Object.keys(patch).join(', '));
+    return job;
+  }
+  Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+  persistJob(job);
+  jobEvents.emit('update', job);
+  return job;
+}
+
+// --- Record a structured pipeline event and push it to live listeners ---
+function emitJobEvent(jobId, type, data = {}) {
+  const event = { jobId, type, at: new Date().toISOString(), ...data };
+  const list = recentEvents[jobId] || (recentEvents[jobId] = []);
+  list.push(event);
+  if (list.length > MAX_EVENTS_PER_JOB) list.shift();
+  jobEvents.emit('event', event);
+  return event;
+}
+
+function getJobEvents(jobId) {
+  return recentEvents[jobId] || [];
+}
+
+// --- Terminal states ---
+// Both are no-ops once the job is finished (see updateJob)
+function failJob(jobId, message, err = null) {
+  if (jobs[jobId] && isFinished(jobs[jobId])) {
+    console.warn(`[JOBS] failJob ignored, job ${jobId} already ${jobs[jobId].status}: ${message}`);
+    return jobs[jobId];
+  }
+  console.warn(`[JOBS] Job ${jobId} failed: ${message}`);
+  return updateJob(jobId, {
+    status: JOB_STATUS.FAILED,
+    stage: 'failed',
+    percent: 100,
+    message,
+    error: err ? String(err.message || err) : message
+  });
+}
+
+function completeJob(jobId, result = {}) {
+  if (jobs[jobId] && isFinished(jobs[jobId])) {
+    console.warn(`[JOBS] completeJob ignored, job ${jobId} already ${jobs[jobId].status}`);
+    return jobs[jobId];
+  }
+  console.log(`[JOBS] Job ${jobId} completed`);
+  return updateJob(jobId, {
+    status: JOB_STATUS.DONE,
+    stage: 'done',
+    percent: 100,
+    message: 'Done',
+    result
+  });
+}
+
+// --- FIFO position: 1 = next to run, 0 = not waiting ---
+function getQueuePosition(jobId) {
+  return queue.indexOf(jobId) + 1;
+}
+
+// --- Shape a job record for /api/progress (keeps the legacy fields the UI reads) ---
+function toProgress(job) {
+  const out = {
+    jobId: job.id,
+    state: job.status,
+    stage: job.stage,
+    percent: job.percent,
+    status: job.message
+  };
+  if (job.status === JOB_STATUS.QUEUED) {
+    out.queuePosition = getQueuePosition(job.id);
+    out.status = `Queued (position ${out.queuePosition})`;
+  }
+  if (job.result && job.result.key) out.key = job.result.key;
+  if (job.result && job.result.subtitles) out.subtitles = job.result.subtitles;
+  if (job.result && job.result.variants) out.variants = job.result.variants;
+  if (job.metadata) {
+    out.viralTitle = job.metadata.title;
+    out.viralDesc = job.metadata.description;
+    out.viralTags = job.metadata.tags;
+    out.platforms = job.metadata.platforms;
+  }
+  if (job.factFlags && job.factFlags.length) out.factFlags = job.factFlags;
+  if (job.error) out.error = job.error;
+  return out;
+}
+
+// --- Queue ---
+function enqueueJob(jobId) {
+  const job = jobs[jobId];
+  if (!job) throw new Error(`[JOBS] Cannot enqueue unknown job ${jobId}`);
+  if (!queue.includes(jobId)) queue.push(jobId);
+  console.log(`[JOBS] Enqueued job ${jobId} (position ${getQueuePosition(jobId)}, running ${running}/${JOB_CONCURRENCY})`);
+  pumpQueue();
+}
+
+function pumpQueue() {
+  if (!jobWorker) return;
+  while (running < JOB_CONCURRENCY && queue.length) {
+    const jobId = queue.shift();
+    const job = jobs[jobId];
+    if (!job || job.status !== JOB_STATUS.QUEUED) continue;
+
+    running++;
+    updateJob(jobId, {
+      status: JOB_STATUS.RUNNING,
+      stage: 'starting',
+      message: 'starting',
+      attempts: (job.attempts || 0) + 1,
+      startedAt: new Date().toISOString()
+    });
+    console.log(`[JOBS] Starting job ${jobId} (running ${running}/${JOB_CONCURRENCY}, queued ${queue.length})`);
+
+    Promise.resolve()
+      .then(() => jobWorker(job))
+      .catch(err => {
+        console.error(`[JOBS] Worker crashed for job ${jobId}:`, err);
+        if (jobs[jobId] && jobs[jobId].status === JOB_STATUS.RUNNING) {
+          failJob(jobId, 'Failed: Crash', err);
+        }
+      })
+      .finally(() => {
+        running--;
+        console.log(`[JOBS] Worker slot freed by job ${jobId} (running ${running}/${JOB_CONCURRENCY})`);
+        pumpQueue();
+      });
+  }
+}
+
+// --- Register the worker and start draining the queue ---
+function startJobWorkers(worker) {
+  jobWorker = worker;
+  console.log(`[JOBS] Worker pool started (concurrency ${JOB_CONCURRENCY})`);
+  pumpQueue();
+}
+
+// --- Drop finished job records older than JOB_RETENTION_HOURS ---
+function pruneExpiredJobs() {
+  const cutoff = Date.now() - JOB_RETENTION_HOURS * 60 * 60 * 1000;
+  for (const job of Object.values(jobs)) {
+    if (isFinished(job) && new Date(job.updatedAt).getTime() < cutoff) {
+      delete jobs[job.id];
+      delete recentEvents[job.id];
+      fsExtra.removeSync(jobFilePath(job.id));
+      console.log(`[JOBS] Pruned expired job record ${job.id}`);
+    }
+  }
+}
+
+// --- Boot: load records, re-queue orphans, sweep renders/ ---
+function recoverJobs() {
+  console.log(`[JOBS] Recovering jobs from ${JOBS_DIR}`);
+  fs.mkdirSync(JOBS_DIR, { recursive: true });
+
+  const files = fs.readdirSync(JOBS_DIR).filter(f => f.endsWith('.json'));
+  for (const file of files) {
+    try {
+      const job = JSON.parse(fs.readFileSync(path.join(JOBS_DIR, file), 'utf8'));
+      if (job && job.id) jobs[job.id] = job;
+    } catch (err) {
+      console.warn(`[JOBS] Skipping unreadable job record ${file}:`, err.message);
+    }
+  }
+  pruneExpiredJobs();
+
+  // Jobs that were queued or mid-render when the process died start over, oldest first
+  const orphans = Object.values(jobs)
+    .filter(j => j.status === JOB_STATUS.QUEUED || j.status === JOB_STATUS.RUNNING)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  for (const job of orphans) {
+    if (job.status === JOB_STATUS.RUNNING && (job.attempts || 0) >= JOB_MAX_ATTEMPTS) {
+      failJob(job.id, 'Failed: Interrupted by server restart');
+      continue;
+    }
+    updateJob(job.id, { status: JOB_STATUS.QUEUED, stage: 'queued', percent: 0, message: 'Queued (resumed after restart)' });
+    if (!queue.includes(job.id)) queue.push(job.id);
+    console.log(`[JOBS] Re-queued orphaned job ${job.id}`);
+  }
+
+  // Any render dir is either stale or belongs to a job that will start from scratch
+  if (fs.existsSync(RENDERS_DIR)) {
+    for (const dir of fs.readdirSync(RENDERS_DIR)) {
+      fsExtra.removeSync(path.join(RENDERS_DIR, dir));
+      console.log(`[JOBS] Removed orphaned render dir: ${dir}`);
+    }
+  }
+
+  console.log(`[JOBS] Recovery complete: ${Object.keys(jobs).length} records, ${queue.length} queued`);
+  setInterval(pruneExpiredJobs, 60 * 60 * 1000).unref();
+}
+
+module.exports = {
+  JOB_STATUS,
+  RENDERS_DIR,
+  createJob,
+  getJob,
+  updateJob,
+  failJob,
+  completeJob,
+  enqueueJob,
+  getQueuePosition,
+  toProgress,
+  jobEvents,
+  emitJobEvent,
+  getJobEvents,
+  startJobWorkers,
+  recoverJobs
+};
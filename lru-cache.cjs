@@ -0,0 +1,18 @@
+/* ===========================================================
+   LRU CACHE – SocialStormAI
+   -----------------------------------------------------------
+   - In-memory caches for model results are plain Maps;
+     insertion order is the LRU order
+   - lruSet() (re)inserts a key as most recent and drops the
+     oldest entries past the limit; call it on hits too
+   =========================================================== */
+
+function lruSet(cache, key, value, limit) {
+  cache.delete(key);
+  cache.set(key, value);
+  while (cache.size > limit) cache.delete(cache.keys().next().value);
+}
+
+module.exports = {
+  lruSet
+};
@@ -0,0 +1,234 @@
+/* ===========================================================
+   MEDIA CACHE – SocialStormAI
+   -----------------------------------------------------------
+   - Content-addressed disk cache for downloaded stock media
+     (clips and Ken Burns images), keyed by source:id or URL
+   - Size-based LRU eviction (MEDIA_CACHE_MAX_MB, default 2048)
+   - ffprobe validation before a cached file is reused; broken
+     entries are dropped and downloaded again
+   - Files are hard-linked (or copied) into the job directory,
+     so cleanupJob never touches the cache
+   - **MAXIMUM LOGGING IN EVERY FUNCTION**
+   =========================================================== */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+
+const MEDIA_CACHE_DIR = path.resolve(__dirname, 'cache', 'media');
+const INDEX_PATH = path.join(MEDIA_CACHE_DIR, 'index.json');
+const MEDIA_CACHE_MAX_BYTES = (parseFloat(process.env.MEDIA_CACHE_MAX_MB) || 2048) * 1024 * 1024;
+const MIN_FILE_BYTES = 1024;
+
+let index = null;            // key → { file, size, url, source, id, createdAt, lastUsed, hits }
+const inFlight = new Map();  // key → Promise<path>, so concurrent jobs share one download
+const stats = { hits: 0, misses: 0, evictions: 0, invalidations: 0, bytesDownloaded: 0 };
+
+function loadIndex() {
+  if (index) return index;
+  fs.mkdirSync(MEDIA_CACHE_DIR, { recursive: true });
+  try {
+    index = fs.existsSync(INDEX_PATH) ? JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8')) : {};
+  } catch (err) {
+    console.error('[MEDIACACHE] Index unreadable, starting empty:', err.message);
+    index = {};
+  }
+  // Drop entries whose files vanished
+  for (const [key, entry] of Object.entries(index)) {
+    if (!fs.existsSync(path.join(MEDIA_CACHE_DIR, entry.file))) delete index[key];
+  }
+  console.log(`[MEDIACACHE] Loaded index: ${Object.keys(index).length} entries`);
+  return index;
+}
+
+function saveIndex() {
+  try {
+    const tmp = `${INDEX_PATH}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(index));
+    fs.renameSync(tmp, INDEX_PATH);
+  } catch (err) {
+    console.error('[MEDIACACHE] Could not persist index:', err.message);
+  }
+}
+
+// --- Stable key: "pexels:12345" when the source id is known, else the URL without its query string ---
+// (R2 links are signed, so their query string changes on every request.)
+function cacheKeyFor(url, { source, id } = {}) {
+  const basis = source && id ? `${source}:${id}` : String(url).split('?')[0];
+  return crypto.createHash('sha256').update(basis).digest('hex');
+}
+
+function extensionFor(url, contentType = '') {
+  const fromUrl = path.extname(String(url).split('?')[0]).toLowerCase();
+  if (/^\.[a-z0-9]{2,5}$/.test(fromUrl)) return fromUrl;
+  if (/jpeg/.test(contentType)) return '.jpg';
+  if (/png/.test(contentType)) return '.png';
+  if (/webp/.test(contentType)) return '.webp';
+  return '.mp4';
+}
+
+// --- Integrity: file present, sane size, and ffprobe finds a video stream ---
+function validateMediaFile(filePath) {
+  return new Promise(resolve => {
+    if (!fs.existsSync(filePath) || fs.statSync(filePath).size < MIN_FILE_BYTES) return resolve(false);
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        console.warn(`[MEDIACACHE] ffprobe rejected ${filePath}: ${err.message}`);
+        return resolve(false);
+      }
+      resolve(!!(metadata && (metadata.streams || []).some(s => s.codec_type === 'video')));
+    });
+  });
+}
+
+function totalBytes() {
+  return Object.values(loadIndex()).reduce((sum, e) => sum + (e.size || 0), 0);
+}
+
+function removeEntry(key) {
+  const entry = index[key];
+  if (!entry) return;
+  try {
+    fs.unlinkSync(path.join(MEDIA_CACHE_DIR, entry.file));
+  } catch (_) { /* already gone */ }
+  delete index[key];
+}
+
+// --- Evict least recently used entries until the cache fits ---
+function evictToFit(keepKey) {
+  let total = totalBytes();
+  if (total <= MEDIA_CACHE_MAX_BYTES) return;
+  const lru = Object.entries(index)
+    .filter(([key]) => key !== keepKey)
+    .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+  for (const [key, entry] of lru) {
+    if (total <= MEDIA_CACHE_MAX_BYTES) break;
+    removeEntry(key);
+    total -= entry.size || 0;
+    stats.evictions++;
+    console.log(`[MEDIACACHE] Evicted ${entry.source || 'url'}:${entry.id || entry.url} (${entry.size} bytes)`);
+  }
+}
+
+async function download(url, key) {
+  const tmpPath = path.join(MEDIA_CACHE_DIR, `${key}.part`);
+  const removePart = () => {
+    try { fs.unlinkSync(tmpPath); } catch (_) { /* not written */ }
+  };
+  try {
+    const resp = await axios({ url, method: 'GET', responseType: 'stream', timeout: 60000 });
+    const finalName = `${key}${extensionFor(url, resp.headers && resp.headers['content-type'])}`;
+    await new Promise((resolve, reject) => {
+      const writer = fs.createWriteStream(tmpPath);
+      resp.data.pipe(writer);
+      resp.data.on('error', err => {
+        writer.destroy();
+        reject(err);
+      });
+      writer.on('error', reject);
+      writer.on('finish', resolve);
+    });
+    if (!(await validateMediaFile(tmpPath))) {
+      throw new Error(`Downloaded media failed validation: ${url.split('?')[0]}`);
+    }
+    fs.renameSync(tmpPath, path.join(MEDIA_CACHE_DIR, finalName));
+    return finalName;
+  } catch (err) {
+    // Non-2xx response, stream error or invalid file: never leave a partial file in the cache dir
+    removePart();
+    throw err;
+  }
+}
+
+// --- MAIN: return a validated cached copy of `url`, downloading on a miss ---
+async function getCachedMedia(url, { source = null, id = null } = {}) {
+  if (!url) throw new Error('No URL provided to media cache.');
+  loadIndex();
+  const key = cacheKeyFor(url, { source, id });
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const task = (async () => {
+    const entry = index[key];
+    if (entry) {
+      const cachedPath = path.join(MEDIA_CACHE_DIR, entry.file);
+      if (await validateMediaFile(cachedPath)) {
+        entry.lastUsed = Date.now();
+        entry.hits = (entry.hits || 0) + 1;
+        stats.hits++;
+        saveIndex();
+        console.log(`[MEDIACACHE] Hit ${source || 'url'}:${id || url.split('?')[0]} (${entry.hits} hits)`);
+        return cachedPath;
+      }
+      console.warn(`[MEDIACACHE] Cached file invalid, re-downloading: ${cachedPath}`);
+      stats.invalidations++;
+      removeEntry(key);
+    }
+
+    stats.misses++;
+    console.log(`[MEDIACACHE] Miss ${source || 'url'}:${id || url.split('?')[0]}, downloading...`);
+    const file = await download(url, key);
+    const size = fs.statSync(path.join(MEDIA_CACHE_DIR, file)).size;
+    stats.bytesDownloaded += size;
+    index[key] = { file, size, url: url.split('?')[0], source, id, createdAt: Date.now(), lastUsed: Date.now(), hits: 0 };
+    evictToFit(key);
+    saveIndex();
+    console.log(`[MEDIACACHE] Stored ${file} (${size} bytes)`);
+    return path.join(MEDIA_CACHE_DIR, file);
+  })();
+
+  inFlight.set(key, task);
+  try {
+    return await task;
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+// --- Fetch through the cache and place the file at outPath (hard link, copy as fallback) ---
+async function fetchMediaToPath(url, outPath, meta = {}) {
+  const cachedPath = await getCachedMedia(url, meta);
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  try { fs.unlinkSync(outPath); } catch (_) { /* not there */ }
+  try {
+    fs.linkSync(cachedPath, outPath);
+  } catch (_) {
+    fs.copyFileSync(cachedPath, outPath);
+  }
+  console.log(`[MEDIACACHE] ${outPath} ← ${path.basename(cachedPath)}`);
+  return outPath;
+}
+
+// --- For GET /api/admin/media-cache ---
+function getMediaCacheStats() {
+  const entries = Object.values(loadIndex());
+  const bySource = {};
+  for (const e of entries) {
+    const s = e.source || 'url';
+    bySource[s] = bySource[s] || { entries: 0, bytes: 0 };
+    bySource[s].entries++;
+    bySource[s].bytes += e.size || 0;
+  }
+  const lookups = stats.hits + stats.misses;
+  return {
+    dir: MEDIA_CACHE_DIR,
+    entries: entries.length,
+    totalBytes: totalBytes(),
+    maxBytes: MEDIA_CACHE_MAX_BYTES,
+    hitRate: lookups ? Math.round((stats.hits / lookups) * 1000) / 1000 : null,
+    ...stats,
+    bySource,
+    topEntries: entries
+      .sort((a, b) => (b.hits || 0) - (a.hits || 0))
+      .slice(0, 10)
+      .map(e => ({ source: e.source, id: e.id, url: e.url, size: e.size, hits: e.hits, lastUsed: new Date(e.lastUsed).toISOString() }))
+  };
+}
+
+module.exports = {
+  MEDIA_CACHE_DIR,
+  getCachedMedia,
+  fetchMediaToPath,
+  getMediaCacheStats
+};
@@ -0,0 +1,183 @@
+/* ===========================================================
+   METADATA HELPER – SocialStormAI
+   -----------------------------------------------------------
+   - Title / description / tags for a finished script, same
+     contract as /api/generate-script (tags space-separated)
+   - Platform variants with each platform's limits enforced:
+       youtube   – title ≤ 100 chars, description, tag list ≤ 500 chars
+       tiktok    – caption + 3–5 hashtags, ≤ 2200 chars
+       instagram – caption + up to 30 hashtags, ≤ 2200 chars
+   - One OpenAI call per script (cached); rule-based fallback
+   - **MAXIMUM LOGGING IN EVERY FUNCTION**
+   =========================================================== */
+
+const crypto = require('crypto');
+const { keywordsOf } = require('./clip-scoring.cjs');
+const { lruSet } = require('./lru-cache.cjs');
+
+const METADATA_MODEL = process.env.METADATA_MODEL || 'gpt-4o-mini';
+const CACHE_LIMIT = 200;
+
+const PLATFORM_LIMITS = {
+  youtube: { title: 100, description: 5000, tagChars: 500 },
+  tiktok: { caption: 2200, hashtags: 5 },
+  instagram: { caption: 2200, hashtags: 30 }
+};
+
+const metadataCache = new Map(); // script hash → metadata (insertion order = LRU)
+
+// --- Cut at a word boundary, adding "…" when shortened (line breaks are kept) ---
+function truncate(text, max) {
+  const clean = String(text || '').replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  if (clean.length <= max) return clean;
+  const cut = clean.slice(0, max - 1);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > max * 0.6 ? cut.slice(0, space) : cut).replace(/[\s,.;:-]+$/, '')}…`;
+}
+
+// --- "Black Holes!" → "#blackholes" ---
+function toHashtag(word) {
+  const tag = String(word || '').toLowerCase().replace(/^#/, '').replace(/[^\p{L}\p{N}_]/gu, '');
+  return tag ? `#${tag}` : null;
+}
+
+function uniq(list) {
+  return [...new Set(list.filter(Boolean))];
+}
+
+// --- Tags may arrive as "a b c", "a, b, c" or an array ---
+function tagList(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,\s]+/);
+  return uniq(list.map(t => String(t).toLowerCase().replace(/^#/, '').replace(/[^\p{L}\p{N}-]/gu, '')).filter(t => t.length > 1));
+}
+
+// --- Platform variants from the base metadata (plus optional model extras) ---
+function buildPlatformVariants({ title, description, tags, hashtags = [], instagramCaption = '' }) {
+  const tagsArr = tagList(tags);
+  const hashtagArr = uniq([...hashtags, ...tagsArr].map(toHashtag));
+
+  // YouTube tags: whole tags only, total length (with separators) within the limit
+  const youtubeTags = [];
+  let tagChars = 0;
+  for (const t of tagsArr) {
+    if (tagChars + t.length + 1 > PLATFORM_LIMITS.youtube.tagChars) break;
+    youtubeTags.push(t);
+    tagChars += t.length + 1;
+  }
+
+  const tiktokTags = hashtagArr.slice(0, PLATFORM_LIMITS.tiktok.hashtags);
+  const tiktokSuffix = ` ${tiktokTags.join(' ')}`;
+  const instaTags = hashtagArr.slice(0, PLATFORM_LIMITS.instagram.hashtags);
+  const instaSuffix = `\n\n${instaTags.join(' ')}`;
+  const instaBody = instagramCaption || `${title}\n\n${description}`;
+
+  return {
+    youtube: {
+      title: truncate(title, PLATFORM_LIMITS.youtube.title),
+      description: truncate(description, PLATFORM_LIMITS.youtube.description),
+      tags: youtubeTags
+    },
+    tiktok: {
+      caption: `${truncate(description || title, PLATFORM_LIMITS.tiktok.caption - tiktokSuffix.length)}${tiktokSuffix}`.trim(),
+      hashtags: tiktokTags
+    },
+    instagram: {
+      caption: `${truncate(instaBody, PLATFORM_LIMITS.instagram.caption - instaSuffix.length)}${instaSuffix}`.trim(),
+      hashtags: instaTags
+    }
+  };
+}
+
+// --- No model: first line as title, second as description, most frequent keywords as tags ---
+function fallbackMetadata(lines, titleHint = '') {
+  // Count by keyword stem, but tag with the word as written ("octopuses", not "octopuse")
+  const counts = Object.create(null);
+  for (const word of `${titleHint} ${lines.join(' ')}`.toLowerCase().split(/[^\p{L}\p{N}]+/u)) {
+    // keywordsOf only stems ASCII words; other scripts count as written
+    const [stem] = /[^\x00-\x7f]/.test(word) ? (word.length > 1 ? [word] : []) : keywordsOf(word);
+    if (!stem) continue;
+    counts[stem] = counts[stem] || { word, n: 0 };
+    counts[stem].n++;
+  }
+  const tags = Object.values(counts).sort((a, b) => b.n - a.n).slice(0, 5).map(c => c.word).join(' ');
+  return {
+    title: truncate(titleHint || lines[0] || 'Untitled', 70),
+    description: truncate(lines.slice(titleHint ? 0 : 1, 3).join(' ') || lines[0] || '', 300),
+    tags
+  };
+}
+
+function buildPrompt(script, titleHint) {
+  return `
+You write upload metadata for a narrated short-form video.
+
+== RETURN JSON ONLY ==
+{
+  "title": "viral, clickable title, no quotes, under 70 characters",
+  "description": "1–2 sentence summary of what the video reveals",
+  "tags": ["max 5 single words, lowercase"],
+  "hashtags": ["5–10 hashtags for TikTok/Instagram, no # sign, lowercase, no spaces"],
+  "instagramCaption": "2–3 short lines for an Instagram caption, may use 1–2 emojis, no hashtags"
+}
+${titleHint ? `\nWorking title: ${titleHint}\n` : ''}
+Script:
+${script}
+  `.trim();
+}
+
+// --- MAIN: { title, description, tags, platforms } for a script; never throws ---
+async function generateMetadata(openai, script, { title: titleHint = '' } = {}) {
+  const lines = String(script || '').split('\n').map(l => l.trim()).filter(Boolean);
+  const key = crypto.createHash('sha1').update(JSON.stringify({ lines, titleHint })).digest('hex');
+  if (metadataCache.has(key)) {
+    console.log(`[METADATA] Cache hit for script ${key.slice(0, 8)}`);
+    const cached = metadataCache.get(key);
+    lruSet(metadataCache, key, cached, CACHE_LIMIT);
+    return cached;
+  }
+
+  let base = null;
+  let extras = {};
+  try {
+    if (!openai) throw new Error('OpenAI client not available');
+    console.log(`[METADATA] Asking ${METADATA_MODEL} for metadata (${lines.length} lines)`);
+    const completion = await openai.chat.completions.create({
+      model: METADATA_MODEL,
+      temperature: 0.7,
+      max_tokens: 500,
+      response_format: { type: 'json_object' },
+      messages: [{ role: 'system', content: buildPrompt(lines.join('\n'), titleHint) }]
+    });
+    const raw = completion?.choices?.[0]?.message?.content || '';
+    console.log('[METADATA] Raw output:', raw);
+    const parsed = JSON.parse(raw);
+    if (!parsed.title || !parsed.description) throw new Error('Model output missing title or description');
+    base = {
+      title: String(parsed.title).replace(/^["']|["']$/g, '').trim(),
+      description: String(parsed.description).trim(),
+      tags: tagList(parsed.tags).slice(0, 5).join(' ')
+    };
+    extras = {
+      hashtags: Array.isArray(parsed.hashtags) ? parsed.hashtags : [],
+      instagramCaption: typeof parsed.instagramCaption === 'string' ? parsed.instagramCaption.trim() : ''
+    };
+  } catch (err) {
+    console.error('[METADATA] Model metadata failed, using rule-based fallback:', err.message);
+  }
+
+  const fromModel = !!base;
+  if (!base) base = fallbackMetadata(lines, titleHint);
+  if (!base.tags) base.tags = fallbackMetadata(lines, titleHint).tags;
+  const metadata = { ...base, platforms: buildPlatformVariants({ ...base, ...extras }) };
+  console.log(`[METADATA] Title: "${metadata.title}" | Tags: ${metadata.tags}`);
+
+  // Only cache model answers, so a transient API failure is retried next time
+  if (fromModel) lruSet(metadataCache, key, metadata, CACHE_LIMIT);
+  return metadata;
+}
+
+module.exports = {
+  PLATFORM_LIMITS,
+  buildPlatformVariants,
+  generateMetadata
+};
@@ -0,0 +1,175 @@
+/* ===========================================================
+   MUSIC HELPER – SocialStormAI
+   -----------------------------------------------------------
+   - Indexes public/assets/music_library (one folder per mood)
+   - Resolves loose mood names ("spooky", "lofi") to folders
+   - Infers a mood from the script when none is given
+   - Random track pick that avoids recently used tracks
+   - Loops/trims a track to the video length with ffmpeg
+   - **MAXIMUM LOGGING IN EVERY FUNCTION**
+   =========================================================== */
+
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+
+const MUSIC_LIBRARY_DIR = path.resolve(__dirname, 'public', 'assets', 'music_library');
+const MUSIC_EXTENSIONS = ['.mp3', '.m4a', '.wav', '.ogg'];
+const DEFAULT_MOOD = 'upbeat_energetic_pop';
+const INDEX_TTL_MS = 5 * 60 * 1000;
+
+// Script keywords that point at each mood folder
+const MOOD_KEYWORDS = {
+  action_sports_intense: ['sport', 'sports', 'game day', 'race', 'racing', 'extreme', 'fight', 'football', 'soccer', 'basketball', 'athlete', 'speed', 'adrenaline', 'olympic'],
+  cinematic_epic_adventure: ['epic', 'adventure', 'journey', 'legend', 'explore', 'expedition', 'mountain', 'conquer', 'hero', 'empire'],
+  corporate_educational_explainer: ['business', 'company', 'startup', 'money', 'finance', 'market', 'how to', 'tips', 'learn', 'explained', 'productivity', 'career'],
+  dramatic_tense_suspense: ['secret', 'danger', 'deadly', 'crisis', 'disaster', 'war', 'escape', 'mystery solved', 'shocking', 'conspiracy'],
+  fantasy_magical: ['magic', 'magical', 'dragon', 'wizard', 'fairy', 'myth', 'mythology', 'enchanted', 'fantasy', 'unicorn'],
+  funny_quirky_whimsical: ['funny', 'weird', 'bizarre', 'silly', 'prank', 'hilarious', 'quirky', 'odd', 'strange laws', 'joke'],
+  happy_summer: ['summer', 'beach', 'vacation', 'holiday', 'sunshine', 'party', 'travel', 'island', 'tropical'],
+  historical: ['history', 'historical', 'ancient', 'century', 'medieval', 'king', 'queen', 'pharaoh', 'roman', 'war of', 'founded', 'revolution'],
+  lofi_chill_ambient: ['chill', 'relax', 'study', 'cozy', 'coffee', 'sleep', 'calm', 'lofi', 'late night'],
+  motivation_inspiration_uplifting: ['motivation', 'inspire', 'inspiring', 'success', 'dream', 'never give up', 'goal', 'believe', 'overcome', 'mindset'],
+  nature_ambient_relaxing: ['nature', 'forest', 'ocean', 'animal', 'animals', 'wildlife', 'bird', 'river', 'rainforest', 'plant', 'whale'],
+  news_documentary_neutral: ['news', 'report', 'study finds', 'scientists say', 'according to', 'documentary', 'statistics', 'percent'],
+  retro_8_bit_gaming: ['video game', 'gaming', 'gamer', 'nintendo', 'arcade', 'retro', 'pixel', 'console', 'minecraft'],
+  sad_emotional_reflective: ['sad', 'loss', 'grief', 'lonely', 'tragic', 'tragedy', 'memory', 'goodbye', 'heartbreak', 'tears'],
+  science_tech_futuristic: ['science', 'technology', 'tech', 'space', 'planet', 'nasa', 'robot', 'ai', 'future', 'quantum', 'physics', 'universe', 'galaxy'],
+  spooky_creepy_mystery_horror: ['ghost', 'haunted', 'creepy', 'horror', 'scary', 'spooky', 'unsolved', 'paranormal', 'halloween', 'cursed', 'disappeared'],
+  upbeat_energetic_pop: ['fun fact', 'did you know', 'amazing', 'crazy', 'awesome', 'viral', 'trend', 'hack']
+};
+
+let libraryIndex = null;
+let indexedAt = 0;
+const recentPicks = []; // most recent first, across all moods
+
+// Folder names use "-" and "_" interchangeably ("retro_8-bit_gaming")
+function normalizeMoodKey(name) {
+  return String(name || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+function labelForMood(folder) {
+  return folder
+    .split(/[_-]+/)
+    .map(w => (w.length > 2 || /\d/.test(w) ? w.charAt(0).toUpperCase() + w.slice(1) : w))
+    .join(' ');
+}
+
+// --- Scan the library: { moodKey: { folder, label, tracks: [{ file, name, path, url }] } } ---
+function indexMusicLibrary(force = false) {
+  if (libraryIndex && !force && Date.now() - indexedAt < INDEX_TTL_MS) return libraryIndex;
+  const index = {};
+  if (!fs.existsSync(MUSIC_LIBRARY_DIR)) {
+    console.warn(`[MUSIC] Music library not found: ${MUSIC_LIBRARY_DIR}`);
+  } else {
+    for (const entry of fs.readdirSync(MUSIC_LIBRARY_DIR, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      const folder = entry.name;
+      const tracks = fs.readdirSync(path.join(MUSIC_LIBRARY_DIR, folder))
+        .filter(f => MUSIC_EXTENSIONS.includes(path.extname(f).toLowerCase()))
+        .sort()
+        .map(file => ({
+          file,
+          name: path.basename(file, path.extname(file)).replace(/-\d+$/, '').replace(/[-_]+/g, ' '),
+          path: path.join(MUSIC_LIBRARY_DIR, folder, file),
+          url: `/assets/music_library/${encodeURIComponent(folder)}/${encodeURIComponent(file)}`
+        }));
+      if (tracks.length) index[normalizeMoodKey(folder)] = { folder, label: labelForMood(folder), tracks };
+    }
+  }
+  libraryIndex = index;
+  indexedAt = Date.now();
+  const total = Object.values(index).reduce((sum, m) => sum + m.tracks.length, 0);
+  console.log(`[MUSIC] Indexed ${total} tracks in ${Object.keys(index).length} moods`);
+  return index;
+}
+
+// --- For GET /api/music ---
+function listMusicLibrary() {
+  const index = indexMusicLibrary();
+  return Object.entries(index).map(([mood, m]) => ({
+    mood,
+    label: m.label,
+    count: m.tracks.length,
+    tracks: m.tracks.map(t => ({ name: t.name, url: t.url }))
+  }));
+}
+
+// --- Map a requested mood onto a library folder ("spooky" → spooky_creepy_mystery_horror) ---
+function resolveMood(mood) {
+  if (!mood) return null;
+  const index = indexMusicLibrary();
+  const key = normalizeMoodKey(mood);
+  if (index[key]) return key;
+  const parts = key.split('_').filter(p => p.length > 2);
+  const match = Object.keys(index).find(k => parts.some(p => k.split('_').includes(p)));
+  if (match) console.log(`[MUSIC] Mood "${mood}" resolved to ${match}`);
+  else console.warn(`[MUSIC] Unknown mood "${mood}"`);
+  return match || null;
+}
+
+// --- Guess a mood from the script by keyword hits; falls back to DEFAULT_MOOD ---
+function inferMood(text) {
+  const haystack = ` ${String(text || '').toLowerCase().replace(/[^a-z0-9' ]+/g, ' ')} `;
+  const index = indexMusicLibrary();
+  let best = null;
+  let bestScore = 0;
+  for (const [mood, keywords] of Object.entries(MOOD_KEYWORDS)) {
+    if (!index[mood]) continue;
+    const score = keywords.reduce((sum, kw) => sum + (haystack.includes(` ${kw} `) ? (kw.includes(' ') ? 2 : 1) : 0), 0);
+    if (score > bestScore) {
+      best = mood;
+      bestScore = score;
+    }
+  }
+  const mood = best || (index[DEFAULT_MOOD] ? DEFAULT_MOOD : Object.keys(index)[0] || null);
+  console.log(`[MUSIC] Inferred mood: ${mood} (score ${bestScore})`);
+  return mood;
+}
+
+// --- Pick a random track for a mood, skipping recently used ones when possible ---
+// Returns { mood, path, url, name } or null.
+function pickMusicForMood(mood) {
+  console.log(`[MUSIC] Picking music for mood: ${mood}`);
+  const key = resolveMood(mood);
+  if (!key) return null;
+  const { tracks } = indexMusicLibrary()[key];
+  const fresh = tracks.filter(t => !recentPicks.includes(t.path));
+  const pool = fresh.length ? fresh : tracks;
+  const track = pool[Math.floor(Math.random() * pool.length)];
+  recentPicks.unshift(track.path);
+  recentPicks.length = Math.min(recentPicks.length, 20);
+  console.log(`[MUSIC] Picked "${track.file}" from ${key} (${fresh.length}/${tracks.length} not recently used)`);
+  return { mood: key, path: track.path, url: track.url, name: track.name };
+}
+
+// --- Loop (if short) and trim a track to exactly `duration` seconds ---
+function fitMusicToDuration(musicPath, duration, outPath) {
+  return new Promise((resolve, reject) => {
+    console.log(`[MUSIC] Fitting ${musicPath} to ${duration}s → ${outPath}`);
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    ffmpeg()
+      .input(musicPath)
+      .inputOptions(['-stream_loop', '-1'])
+      .outputOptions(['-t', String(duration), '-vn', '-c:a', 'aac', '-b:a', '192k', '-ar', '44100', '-ac', '2', '-y'])
+      .save(outPath)
+      .on('end', () => {
+        console.log(`[MUSIC] Music bed ready: ${outPath}`);
+        resolve(outPath);
+      })
+      .on('error', err => {
+        console.error('[MUSIC] Could not fit music to duration:', err);
+        reject(err);
+      });
+  });
+}
+
+module.exports = {
+  MUSIC_LIBRARY_DIR,
+  indexMusicLibrary,
+  listMusicLibrary,
+  resolveMood,
+  inferMood,
+  pickMusicForMood,
+  fitMusicToDuration
+};
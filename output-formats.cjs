@@ -0,0 +1,82 @@
+/* ===========================================================
+   OUTPUT FORMATS – SocialStormAI
+   -----------------------------------------------------------
+   - Aspect ratios × resolutions a job can render:
+       9:16 (TikTok/Shorts/Reels), 1:1 (square), 4:5 (feed),
+       16:9 (YouTube landscape) at 720p or 1080p
+   - Resolution is the short side: 16:9 1080p → 1920x1080,
+     9:16 720p → 720x1280
+   - The first requested format is the primary video (keeps the
+     <jobId>.mp4 names); the rest are <jobId>-<format id>.mp4
+   =========================================================== */
+
+const ASPECT_RATIOS = {
+  '9:16': [9, 16],
+  '1:1': [1, 1],
+  '4:5': [4, 5],
+  '16:9': [16, 9]
+};
+const RESOLUTIONS = [720, 1080];
+const DEFAULT_FORMAT = { aspect: '9:16', resolution: 1080 };
+const MAX_FORMATS = 4;
+
+// --- { aspect: '16:9', resolution: 720 } → { id: '16x9-720p', aspect, resolution, width, height } ---
+function describeFormat(aspect, resolution) {
+  const [w, h] = ASPECT_RATIOS[aspect];
+  const shortSide = resolution;
+  // Even dimensions for yuv420p
+  const even = n => Math.round(n / 2) * 2;
+  const width = w <= h ? shortSide : even((shortSide * w) / h);
+  const height = w <= h ? even((shortSide * h) / w) : shortSide;
+  return { id: `${aspect.replace(':', 'x')}-${resolution}p`, aspect, resolution, width, height };
+}
+
+// --- One entry: "16:9", "16:9@720", "720p" or { aspect, resolution } ---
+function parseFormat(entry) {
+  let aspect = DEFAULT_FORMAT.aspect;
+  let resolution = DEFAULT_FORMAT.resolution;
+  if (typeof entry === 'string') {
+    const [a, r] = entry.trim().toLowerCase().split('@');
+    if (/^\d+p?$/.test(a) && r === undefined) resolution = parseInt(a, 10);
+    else {
+      aspect = a;
+      if (r !== undefined) resolution = parseInt(r, 10);
+    }
+  } else if (entry && typeof entry === 'object') {
+    if (entry.aspect !== undefined) aspect = String(entry.aspect);
+    if (entry.resolution !== undefined) resolution = parseInt(entry.resolution, 10);
+  } else {
+    return { error: `Invalid output format: ${JSON.stringify(entry)}` };
+  }
+  if (!Object.hasOwn(ASPECT_RATIOS, aspect)) {
+    return { error: `Unknown aspect ratio "${aspect}" (use ${Object.keys(ASPECT_RATIOS).join(', ')})` };
+  }
+  if (!RESOLUTIONS.includes(resolution)) {
+    return { error: `Unsupported resolution "${resolution}" (use ${RESOLUTIONS.map(r => `${r}p`).join(', ')})` };
+  }
+  return { format: describeFormat(aspect, resolution) };
+}
+
+// --- MAIN: request "formats" (string or array) → { formats, errors }; empty → 9:16 1080p ---
+function resolveOutputFormats(input) {
+  const entries = input === undefined || input === null || input === ''
+    ? []
+    : (Array.isArray(input) ? input : [input]);
+  const errors = [];
+  const formats = [];
+  for (const entry of entries) {
+    const { format, error } = parseFormat(entry);
+    if (error) errors.push(error);
+    else if (!formats.some(f => f.id === format.id)) formats.push(format);
+  }
+  if (formats.length > MAX_FORMATS) errors.push(`At most ${MAX_FORMATS} output formats per job`);
+  if (!formats.length && !errors.length) formats.push(describeFormat(DEFAULT_FORMAT.aspect, DEFAULT_FORMAT.resolution));
+  console.log(`[FORMATS] Output formats: ${formats.map(f => `${f.id} (${f.width}x${f.height})`).join(', ') || '(none)'}`);
+  return { formats, errors };
+}
+
+module.exports = {
+  ASPECT_RATIOS,
+  RESOLUTIONS,
+  resolveOutputFormats
+};
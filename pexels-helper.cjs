@@ -2,9 +2,12 @@
    PEXELS HELPER – SocialStormAI
    -----------------------------------------------------------
    - Finds the best-matching video clip for a scene.
-   - Search order: R2 > Pexels > Pixabay (fallback)
-   - If no video: gets an image, creates a slow pan video (L→R or R→L)
-   - Improved visual subject extraction (no AI, just rules)
+   - Candidates from R2, Pexels and Pixabay ranked together
+     (clip-scoring.cjs); the R2 library wins ties
+   - If no video: gets an image and renders a Ken Burns clip
+     (zoom/pan preset centered on the sharp attention focal point)
+   - Rule-based visual subject extraction (fallback for
+     subject-extractor.cjs when the model is unavailable)
    - Handles all download/streaming and normalization.
    - **MAXIMUM LOGGING IN EVERY FUNCTION**
    =========================================================== */
@@ -13,15 +16,16 @@ const AWS = require('aws-sdk');
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
-const { S3Client, ListObjectsV2Command } = require('@aws-sdk/client-s3');
 const { v4: uuidv4 } = require('uuid');
-const { exec } = require('child_process');
+const ffmpeg = require('fluent-ffmpeg'); // binary path is set once in server.cjs (FFMPEG_PATH / ffmpeg-static)
+const { getLibraryManifest, getSignedClipUrl, probeLibraryEntry } = require('./r2-library.cjs');
+const { keywordsOf, rankCandidates } = require('./clip-scoring.cjs');
+const { fetchMediaToPath } = require('./media-cache.cjs');
 
 // ENV
-const R2_LIBRARY_BUCKET = process.env.R2_LIBRARY_BUCKET || 'socialstorm-library';
-const R2_ENDPOINT = process.env.R2_ENDPOINT;
 const PEXELS_API_KEY = process.env.PEXELS_API_KEY;
 const PIXABAY_API_KEY = process.env.PIXABAY_API_KEY;
+const GOOD_ENOUGH_SCORE = 0.6; // stop trying further queries once a clip scores this well
 
 // --- IMPROVED Visual Subject Picker (Rule-Based, No AI) ---
 function extractVisualSubject(line, title = '') {
@@ -79,156 +83,135 @@ function normalize(str) {
   return norm;
 }
 
-// --- R2 CLIP MATCHING ---
-async function listAllFilesInR2(s3Client, prefix = '') {
-  console.log(`[R2] listAllFilesInR2 | prefix="${prefix}"`);
-  let files = [];
-  let continuationToken = undefined;
-  let round = 0;
-  try {
-    do {
-      round++;
-      console.log(`[R2] Fetching R2 file list (round ${round})...`);
-      const cmd = new ListObjectsV2Command({
-        Bucket: R2_LIBRARY_BUCKET,
-        Prefix: prefix,
-        ContinuationToken: continuationToken,
-      });
-      const resp = await s3Client.send(cmd);
-      if (resp && resp.Contents) {
-        console.log(`[R2] Retrieved ${resp.Contents.length} files (round ${round})`);
-        files.push(...resp.Contents.map(obj => obj.Key));
-      } else {
-        console.log(`[R2] No files in resp.Contents for round ${round}`);
-      }
-      continuationToken = resp.NextContinuationToken;
-      if (continuationToken) {
-        console.log(`[R2] NextContinuationToken present; will fetch more...`);
-      }
-    } while (continuationToken);
-    console.log(`[R2] Total files listed from R2: ${files.length}`);
-    return files;
-  } catch (err) {
-    console.error('[R2] Error in listAllFilesInR2:', err);
-    return [];
-  }
-}
-
-async function findClipInR2(subject, s3Client) {
-  console.log(`[R2] findClipInR2 | subject="${subject}"`);
+// --- R2 CLIP CANDIDATES (cached manifest, see r2-library.cjs) ---
+// Pre-filters the manifest by tag overlap; only the top few get probed for duration/resolution.
+async function searchR2Clips(subject, s3Client, context = {}) {
+  console.log(`[R2] searchR2Clips | subject="${subject}"`);
   if (!s3Client) {
     console.error('[R2] s3Client not provided!');
     throw new Error('[R2] s3Client not provided!');
   }
   try {
-    const files = await listAllFilesInR2(s3Client, '');
+    const { entries } = await getLibraryManifest(s3Client);
     const normQuery = normalize(subject);
-    console.log(`[R2] Looking for: "${subject}" → normalized: "${normQuery}" in ${files.length} files`);
-
-    let best = null;
-    // 1. Exact match (whole phrase)
-    for (let file of files) {
-      const normFile = normalize(file);
-      if (normFile.includes(normQuery)) {
-        best = file;
-        console.log(`[R2] Exact/whole phrase match: "${file}"`);
-        break;
-      }
-    }
-    // 2. Partial match (all words must appear somewhere)
-    if (!best) {
-      const words = subject.split(/\s+/).map(normalize).filter(Boolean);
-      for (let file of files) {
-        const normFile = normalize(file);
-        if (words.every(w => normFile.includes(w))) {
-          best = file;
-          console.log(`[R2] Partial/all-word match: "${file}"`);
-          break;
-        }
-      }
-    }
-    if (best) {
-      let url = R2_ENDPOINT.endsWith('/') ? R2_ENDPOINT : (R2_ENDPOINT + '/');
-      url += `${R2_LIBRARY_BUCKET}/${best}`;
-      console.log(`[R2] Found match: ${best} → ${url}`);
-      return url;
-    }
-    console.log(`[R2] No match found for: "${subject}" after scanning ${files.length} files`);
-    return null;
+    const queryWords = [...new Set(keywordsOf(`${subject} ${context.sceneLine || ''}`))];
+    const matches = entries
+      .map(entry => {
+        // Same as normalize(), inlined so the whole manifest isn't logged per scene
+        const normKey = entry.key.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const exact = normQuery && normKey.includes(normQuery) ? 2 : 0;
+        const hits = queryWords.filter(w => entry.tags.includes(w)).length;
+        return { entry, hits: exact + hits };
+      })
+      .filter(m => m.hits > 0)
+      .sort((a, b) => b.hits - a.hits)
+      .slice(0, 8);
+    console.log(`[R2] ${matches.length} manifest clips match "${subject}" (of ${entries.length})`);
+
+    for (const m of matches.slice(0, 3)) await probeLibraryEntry(m.entry);
+    return matches.map(({ entry }) => ({
+      source: 'r2',
+      id: entry.key,
+      key: entry.key,
+      url: null, // signed once chosen
+      text: `${entry.key} ${entry.tags.join(' ')}`,
+      width: entry.width,
+      height: entry.height,
+      duration: entry.duration
+    }));
   } catch (err) {
-    console.error('[R2] Error listing or matching:', err);
-    return null;
+    console.error('[R2] Error searching library manifest:', err);
+    return [];
   }
 }
 
-// --- PEXELS VIDEO FALLBACK ---
-async function findClipInPexels(subject) {
-  console.log(`[PEXELS] findClipInPexels | subject="${subject}"`);
+// --- PEXELS VIDEO CANDIDATES ---
+// Per video, the file closest to 1080p on its long side (no 4K downloads).
+function pickPexelsFile(files = []) {
+  const usable = files.filter(f => f.link && f.width && f.height);
+  if (!usable.length) return files.find(f => f.link) || null;
+  const longSide = f => Math.max(f.width, f.height);
+  const fitting = usable.filter(f => longSide(f) <= 1920).sort((a, b) => longSide(b) - longSide(a));
+  return fitting[0] || usable.sort((a, b) => longSide(a) - longSide(b))[0];
+}
+
+async function searchPexelsClips(subject) {
+  console.log(`[PEXELS] searchPexelsClips | subject="${subject}"`);
   if (!PEXELS_API_KEY) {
     console.warn('[PEXELS] No API key set.');
-    return null;
+    return [];
   }
   try {
     const query = encodeURIComponent(subject);
-    const url = `https://api.pexels.com/videos/search?query=${query}&per_page=5`;
+    const url = `https://api.pexels.com/videos/search?query=${query}&per_page=10`;
     console.log(`[PEXELS] Request: ${url}`);
     const resp = await axios.get(url, { headers: { Authorization: PEXELS_API_KEY } });
-    if (resp.data && resp.data.videos && resp.data.videos.length > 0) {
-      console.log(`[PEXELS] ${resp.data.videos.length} videos found for "${subject}"`);
-      const sorted = resp.data.videos.sort((a, b) => (b.width * b.height) - (a.width * a.height));
-      const bestClip = sorted[0];
-      console.log(`[PEXELS] Best video: ID=${bestClip.id}, duration=${bestClip.duration}, width=${bestClip.width}, height=${bestClip.height}`);
-      const fileLink = bestClip.video_files.find(f => f.quality === 'hd') || bestClip.video_files[0];
-      if (fileLink && fileLink.link) {
-        console.log('[PEXELS] Clip found:', fileLink.link);
-        return fileLink.link;
-      }
-      console.warn('[PEXELS] No valid video file link found in bestClip');
-    } else {
-      console.log(`[PEXELS] No match found for: "${subject}"`);
-    }
-    return null;
+    const videos = (resp.data && resp.data.videos) || [];
+    console.log(`[PEXELS] ${videos.length} videos found for "${subject}"`);
+    return videos
+      .map(video => {
+        const file = pickPexelsFile(video.video_files);
+        if (!file || !file.link) return null;
+        // The page URL slug is the only description Pexels returns ("/video/lion-roaring-in-the-wild-123/")
+        const slug = String(video.url || '').replace(/\/+$/, '').split('/').pop().replace(/-\d+$/, '').replace(/-/g, ' ');
+        return {
+          source: 'pexels',
+          id: String(video.id),
+          url: file.link,
+          text: [slug, ...(video.tags || [])].join(' '),
+          width: file.width || video.width,
+          height: file.height || video.height,
+          duration: video.duration
+        };
+      })
+      .filter(Boolean);
   } catch (err) {
     if (err.response) {
       console.error(`[PEXELS] Request failed. Status: ${err.response.status}, Data:`, err.response.data);
     } else {
       console.error('[PEXELS] Request failed:', err);
     }
-    return null;
+    return [];
   }
 }
 
-// --- PIXABAY VIDEO FALLBACK ---
-async function findClipInPixabay(subject) {
-  console.log(`[PIXABAY] findClipInPixabay | subject="${subject}"`);
+// --- PIXABAY VIDEO CANDIDATES ---
+async function searchPixabayClips(subject) {
+  console.log(`[PIXABAY] searchPixabayClips | subject="${subject}"`);
   if (!PIXABAY_API_KEY) {
     console.warn('[PIXABAY] No API key set.');
-    return null;
+    return [];
   }
   try {
     const query = encodeURIComponent(subject);
-    const url = `https://pixabay.com/api/videos/?key=${PIXABAY_API_KEY}&q=${query}&per_page=5`;
-    console.log(`[PIXABAY] Request: ${url}`);
+    const url = `https://pixabay.com/api/videos/?key=${PIXABAY_API_KEY}&q=${query}&per_page=10`;
+    console.log(`[PIXABAY] Request: ${url.replace(PIXABAY_API_KEY, '***')}`);
     const resp = await axios.get(url);
-    if (resp.data && resp.data.hits && resp.data.hits.length > 0) {
-      console.log(`[PIXABAY] ${resp.data.hits.length} videos found for "${subject}"`);
-      const best = resp.data.hits.sort((a, b) => (b.videos.large.width * b.videos.large.height) - (a.videos.large.width * a.videos.large.height))[0];
-      if (best && best.videos && best.videos.large && best.videos.large.url) {
-        console.log('[PIXABAY] Clip found:', best.videos.large.url);
-        return best.videos.large.url;
-      }
-      console.warn('[PIXABAY] No valid large video link in best result');
-    } else {
-      console.log(`[PIXABAY] No match found for: "${subject}"`);
-    }
-    return null;
+    const hits = (resp.data && resp.data.hits) || [];
+    console.log(`[PIXABAY] ${hits.length} videos found for "${subject}"`);
+    return hits
+      .map(hit => {
+        const videos = hit.videos || {};
+        const file = [videos.large, videos.medium, videos.small].find(v => v && v.url);
+        if (!file) return null;
+        return {
+          source: 'pixabay',
+          id: String(hit.id),
+          url: file.url,
+          text: hit.tags || '',
+          width: file.width,
+          height: file.height,
+          duration: hit.duration
+        };
+      })
+      .filter(Boolean);
   } catch (err) {
     if (err.response) {
       console.error(`[PIXABAY] Request failed. Status: ${err.response.status}, Data:`, err.response.data);
     } else {
       console.error('[PIXABAY] Request failed:', err);
     }
-    return null;
+    return [];
   }
 }
 
@@ -292,126 +275,165 @@ async function findImageInPixabay(subject) {
 }
 
 // --- Ken Burns Effect: Make Video From Image (FFmpeg) ---
-async function makeKenBurnsVideoFromImage(imgPath, outPath, duration = 5) {
-  // Randomize pan direction: 0 = left→right, 1 = right→left
-  const direction = Math.random() > 0.5 ? 'ltr' : 'rtl';
-  console.log(`[KENBURNS] Creating Ken Burns pan video (${direction}) | ${imgPath} → ${outPath} (${duration}s)`);
-
-  // Make sure image exists
-  if (!fs.existsSync(imgPath)) throw new Error('[KENBURNS] Image does not exist: ' + imgPath);
+const KENBURNS_PRESETS = ['zoom-in', 'zoom-out', 'pan-left', 'pan-right'];
+const KENBURNS_FPS = 30;
+const KENBURNS_ZOOM = 1.25; // max zoom; pans run at this zoom so there is room to move
 
-  // Video size: 1080x1920 (vertical)
-  const width = 1080, height = 1920;
-  // Pan effect: Move image horizontally (slow, only once)
-  // - For LTR: start at x=0, end at x=(img_width - width)
-  // - For RTL: start at x=(img_width - width), end at x=0
-  // The FFmpeg filter will compute these values
-  const filter = direction === 'ltr'
-    ? `[0:v]scale=${width*1.4}:${height*1.4},crop=${width}:${height}:x='(iw-${width})*t/${duration}',setpts=PTS-STARTPTS[v]`
-    : `[0:v]scale=${width*1.4}:${height*1.4},crop=${width}:${height}:x='(iw-${width})-(iw-${width})*t/${duration}',setpts=PTS-STARTPTS[v]`;
-
-  const ffmpegCmd = `ffmpeg -y -loop 1 -i "${imgPath}" -filter_complex "${filter}" -map "[v]" -t ${duration} -r 30 -pix_fmt yuv420p -c:v libx264 "${outPath}"`;
-  console.log(`[KENBURNS] Running FFmpeg: ${ffmpegCmd}`);
-
-  return new Promise((resolve, reject) => {
-    exec(ffmpegCmd, (error, stdout, stderr) => {
-      if (error) {
-        console.error('[KENBURNS] FFmpeg error:', error, stderr);
-        return reject(error);
-      }
-      if (!fs.existsSync(outPath) || fs.statSync(outPath).size < 4096) {
-        return reject(new Error('[KENBURNS] Output video not created or too small'));
-      }
-      console.log('[KENBURNS] Ken Burns pan video created:', outPath);
-      resolve(outPath);
-    });
-  });
+// Focal point of an image as fractions { x, y } of its width/height, via sharp's attention crop.
+// Falls back to the center when sharp can't read the image.
+async function findFocalPoint(imgPath, width, height) {
+  try {
+    const sharp = require('sharp');
+    const meta = await sharp(imgPath).metadata();
+    // Work on a small copy: crop offsets are relative to the image scaled to cover the box
+    const boxW = 270, boxH = Math.round(270 * height / width);
+    const { info } = await sharp(imgPath)
+      .resize(boxW, boxH, { fit: 'cover', position: sharp.strategy.attention })
+      .toBuffer({ resolveWithObject: true });
+    const scale = Math.max(boxW / meta.width, boxH / meta.height);
+    const scaledW = meta.width * scale, scaledH = meta.height * scale;
+    const x = (Math.abs(info.cropOffsetLeft || 0) + boxW / 2) / scaledW;
+    const y = (Math.abs(info.cropOffsetTop || 0) + boxH / 2) / scaledH;
+    const focal = { x: Math.min(1, Math.max(0, x)), y: Math.min(1, Math.max(0, y)) };
+    console.log(`[KENBURNS] Focal point for ${imgPath}: x=${focal.x.toFixed(2)} y=${focal.y.toFixed(2)} (${meta.width}x${meta.height})`);
+    return focal;
+  } catch (err) {
+    console.warn(`[KENBURNS] Focal point detection failed, using center: ${err.message}`);
+    return { x: 0.5, y: 0.5 };
+  }
 }
 
-// --- Download function: saves a remote file to disk with logging ---
-async function downloadRemoteFileToLocal(url, outPath) {
-  console.log(`[DL] DownloadRemoteFileToLocal called | url="${url}" | outPath="${outPath}"`);
-  try {
-    if (!url) throw new Error('No URL provided to download.');
-    if (fs.existsSync(outPath)) {
-      console.log(`[DL] File already exists, skipping download: ${outPath}`);
-      return;
-    }
+// Render a still image as a moving clip of exactly `duration` seconds with a silent stereo track.
+// options.preset: one of KENBURNS_PRESETS or 'auto' (random); options.width/height: output size.
+async function makeKenBurnsVideoFromImage(imgPath, outPath, duration = 5, options = {}) {
+  const width = options.width || 1080, height = options.height || 1920;
+  let preset = options.preset || 'auto';
+  if (!KENBURNS_PRESETS.includes(preset)) {
+    preset = KENBURNS_PRESETS[Math.floor(Math.random() * KENBURNS_PRESETS.length)];
+  }
+  console.log(`[KENBURNS] Creating Ken Burns video (${preset}) | ${imgPath} → ${outPath} (${duration}s, ${width}x${height})`);
+  if (!fs.existsSync(imgPath)) throw new Error('[KENBURNS] Image does not exist: ' + imgPath);
 
-    const writer = fs.createWriteStream(outPath);
-    const resp = await axios({
-      url,
-      method: 'GET',
-      responseType: 'stream',
-      timeout: 60000
-    });
-
-    await new Promise((resolve, reject) => {
-      resp.data.pipe(writer);
-      let errored = false;
-      writer.on('error', err => {
-        errored = true;
-        console.error('[DL] Stream error:', err);
-        writer.close();
+  const { x: fx, y: fy } = await findFocalPoint(imgPath, width, height);
+  const frames = Math.max(1, Math.ceil(duration * KENBURNS_FPS));
+  const z = KENBURNS_ZOOM;
+  const progress = `(on/${frames})`;
+  const zoomExpr = {
+    'zoom-in': `1+${(z - 1).toFixed(3)}*${progress}`,
+    'zoom-out': `${z}-${(z - 1).toFixed(3)}*${progress}`,
+    'pan-left': `${z}`,
+    'pan-right': `${z}`
+  }[preset];
+  // Keep the focal point centered for zooms; pans sweep across the full width
+  const centeredX = `max(0,min(iw-iw/zoom,iw*${fx.toFixed(4)}-iw/zoom/2))`;
+  const centeredY = `max(0,min(ih-ih/zoom,ih*${fy.toFixed(4)}-ih/zoom/2))`;
+  const xExpr = {
+    'zoom-in': centeredX,
+    'zoom-out': centeredX,
+    'pan-left': `(iw-iw/zoom)*(1-${progress})`,
+    'pan-right': `(iw-iw/zoom)*${progress}`
+  }[preset];
+
+  // Upscale 2x before zoompan (avoids jitter), cropping to the output aspect around the focal point
+  const W2 = width * 2, H2 = height * 2;
+  const filter = [
+    `[0:v]scale=${W2}:${H2}:force_original_aspect_ratio=increase`,
+    `crop=${W2}:${H2}:x='max(0,min(iw-ow,iw*${fx.toFixed(4)}-ow/2))':y='max(0,min(ih-oh,ih*${fy.toFixed(4)}-oh/2))'`,
+    `zoompan=z='${zoomExpr}':x='${xExpr}':y='${centeredY}':d=${frames}:s=${width}x${height}:fps=${KENBURNS_FPS}`,
+    'setsar=1,format=yuv420p[v]'
+  ].join(',');
+
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  await new Promise((resolve, reject) => {
+    ffmpeg()
+      .input(imgPath)
+      .input('anullsrc=channel_layout=stereo:sample_rate=44100')
+      .inputFormat('lavfi')
+      .complexFilter(filter)
+      .outputOptions([
+        '-map', '[v]', '-map', '1:a',
+        '-t', String(duration),
+        '-r', String(KENBURNS_FPS),
+        '-c:v', 'libx264', '-preset', 'veryfast',
+        '-c:a', 'aac', '-shortest', '-y'
+      ])
+      .save(outPath)
+      .on('end', resolve)
+      .on('error', (err, stdout, stderr) => {
+        console.error('[KENBURNS] FFmpeg error:', err.message, stderr);
         reject(err);
       });
-      writer.on('finish', () => {
-        if (!errored) {
-          console.log('[DL] Download complete:', outPath, 'size:', fs.existsSync(outPath) ? fs.statSync(outPath).size : 'N/A');
-          resolve();
-        }
-      });
-    });
-
-    if (!fs.existsSync(outPath)) {
-      throw new Error('[DL] File not written after download: ' + outPath);
-    }
-  } catch (err) {
-    console.error('[DL] Download failed:', url, err);
-    throw err;
+  });
+  if (!fs.existsSync(outPath) || fs.statSync(outPath).size < 4096) {
+    throw new Error('[KENBURNS] Output video not created or too small');
   }
+  console.log('[KENBURNS] Ken Burns video created:', outPath);
+  return outPath;
 }
 
-// --- MAIN MATCHER: R2 → PEXELS → PIXABAY → IMAGE → KenBurns ---
-async function findClipForScene(sceneText, idx, allLines = [], title = '', s3Client) {
+// --- MAIN MATCHER: rank R2 + PEXELS + PIXABAY candidates → IMAGE → KenBurns ---
+// options.sceneLine      – the full scene line (sceneText may already be a subject)
+// options.queries        – ranked search queries (subject-extractor.cjs); tried in order until one scores well
+// options.targetDuration – seconds the scene needs, for duration fit
+// options.excludeIds     – "source:id" keys already used in this job; only reused when nothing else fits
+// options.workDir        – where a Ken Burns fallback is rendered (the job dir, so cleanupJob removes it)
+// options.kenBurnsPreset – zoom-in / zoom-out / pan-left / pan-right / auto for the still-image fallback
+// options.frameWidth/frameHeight – output frame (primary format); orientation scoring and Ken Burns size
+// Returns the winning candidate { source, id, url, score, breakdown, width, height, duration, reused } or null.
+async function findClipForScene(sceneText, idx, allLines = [], title = '', s3Client, options = {}) {
   console.log(`[MATCH] findClipForScene called | idx=${idx} | sceneText="${sceneText}" | title="${title}"`);
   if (allLines && allLines.length) console.log(`[MATCH] All lines for context:`, allLines);
-  const subject = extractVisualSubject(sceneText, title || '');
-  console.log(`[MATCH] Scene ${idx + 1} subject after extraction: "${subject}"`);
+  const queries = (options.queries || []).filter(Boolean);
+  if (!queries.length) queries.push(extractVisualSubject(sceneText, title || ''));
+  const subject = queries[0];
+  console.log(`[MATCH] Scene ${idx + 1} queries: ${queries.map(q => `"${q}"`).join(', ')}`);
+  const exclude = new Set(options.excludeIds || []);
+  const isUsed = c => exclude.has(`${c.source}:${c.id}`);
+
+  // 1–3. Gather candidates from every video source and rank them together.
+  // Later queries only run while no unused candidate scores GOOD_ENOUGH_SCORE.
+  const byKey = new Map();
+  for (const query of queries) {
+    const context = {
+      subject: query,
+      sceneLine: options.sceneLine || sceneText,
+      title: title || '',
+      targetDuration: options.targetDuration || null,
+      frameWidth: options.frameWidth,
+      frameHeight: options.frameHeight
+    };
+    const [r2, pexels, pixabay] = await Promise.all([
+      s3Client ? searchR2Clips(query, s3Client, context).catch(err => {
+        console.error('[MATCH] Error in searchR2Clips:', err);
+        return [];
+      }) : [],
+      searchPexelsClips(query),
+      searchPixabayClips(query)
+    ]);
+    console.log(`[MATCH] "${query}" candidates: R2=${r2.length}, Pexels=${pexels.length}, Pixabay=${pixabay.length}`);
+    for (const c of rankCandidates([...r2, ...pexels, ...pixabay], context, `Scene ${idx + 1} "${query}":`)) {
+      const key = `${c.source}:${c.id}`;
+      if (!byKey.has(key) || byKey.get(key).score < c.score) byKey.set(key, { ...c, query });
+    }
+    const top = [...byKey.values()].filter(c => !isUsed(c)).sort((a, b) => b.score - a.score)[0];
+    if (top && top.score >= GOOD_ENOUGH_SCORE) break;
+  }
+  const ranked = [...byKey.values()].sort((a, b) => b.score - a.score);
 
-  // 1. Try R2 first
-  if (s3Client) {
+  // Unused clips first (still in score order), then already-used ones as a last resort
+  const fresh = ranked.filter(c => !isUsed(c));
+  if (exclude.size) console.log(`[MATCH] ${ranked.length - fresh.length} candidates already used in this job`);
+  for (const best of [...fresh, ...ranked.filter(isUsed)]) {
+    best.reused = isUsed(best);
     try {
-      const r2Url = await findClipInR2(subject, s3Client);
-      if (typeof r2Url === 'string' && r2Url.startsWith('http')) {
-        console.log(`[MATCH] Matched in R2: ${r2Url}`);
-        return r2Url;
+      if (best.source === 'r2') best.url = await getSignedClipUrl(best.key);
+      if (typeof best.url === 'string' && best.url.startsWith('http')) {
+        console.log(`[MATCH] Best clip: ${best.source}:${best.id} for "${best.query}" (score ${best.score}${best.reused ? ', reused' : ''})`);
+        return best;
       }
     } catch (err) {
-      console.error('[MATCH] Error in findClipInR2:', err);
-    }
-  }
-
-  // 2. Try Pexels Video
-  try {
-    const pexelsUrl = await findClipInPexels(subject);
-    if (typeof pexelsUrl === 'string' && pexelsUrl.startsWith('http')) {
-      console.log(`[MATCH] Matched in Pexels: ${pexelsUrl}`);
-      return pexelsUrl;
-    }
-  } catch (err) {
-    console.error('[MATCH] Error in findClipInPexels:', err);
-  }
-
-  // 3. Try Pixabay Video
-  try {
-    const pixabayUrl = await findClipInPixabay(subject);
-    if (typeof pixabayUrl === 'string' && pixabayUrl.startsWith('http')) {
-      console.log(`[MATCH] Matched in Pixabay: ${pixabayUrl}`);
-      return pixabayUrl;
+      console.error(`[MATCH] Could not use candidate ${best.source}:${best.id}:`, err);
     }
-  } catch (err) {
-    console.error('[MATCH] Error in findClipInPixabay:', err);
   }
 
   // 4. Try Pexels/Pixabay Image → Ken Burns
@@ -427,19 +449,24 @@ async function findClipForScene(sceneText, idx, allLines = [], title = '', s3Cli
 
   if (imageUrl) {
     try {
-      const tmpDir = path.join(__dirname, 'tmp');
-      if (!fs.existsSync(tmpDir)) fs.mkdirSync(tmpDir);
+      const outDir = options.workDir || path.join(__dirname, 'tmp');
+      fs.mkdirSync(outDir, { recursive: true });
       const imgName = `kenburns-${uuidv4()}.jpg`;
-      const imgPath = path.join(tmpDir, imgName);
-      await downloadRemoteFileToLocal(imageUrl, imgPath);
+      const imgPath = path.join(outDir, imgName);
+      await fetchMediaToPath(imageUrl, imgPath, { source: 'image', id: imageUrl.split('?')[0] });
 
       const outVidName = `kenburns-${uuidv4()}.mp4`;
-      const outVidPath = path.join(tmpDir, outVidName);
+      const outVidPath = path.join(outDir, outVidName);
 
-      await makeKenBurnsVideoFromImage(imgPath, outVidPath, 5 + Math.floor(Math.random() * 2)); // 5–6s pan
+      const duration = options.targetDuration || 5;
+      await makeKenBurnsVideoFromImage(imgPath, outVidPath, duration, {
+        preset: options.kenBurnsPreset,
+        width: options.frameWidth,
+        height: options.frameHeight
+      });
 
       console.log(`[MATCH] Ken Burns fallback video created: ${outVidPath}`);
-      return outVidPath;
+      return { source: 'kenburns', id: imgName, url: outVidPath, text: subject, duration, score: 0, breakdown: null, reused: false };
     } catch (err) {
       console.error('[MATCH] Ken Burns fallback failed:', err);
     }
@@ -470,7 +497,9 @@ function splitScriptToScenes(script) {
 }
 
 module.exports = {
+  KENBURNS_PRESETS,
+  extractVisualSubject,
+  makeKenBurnsVideoFromImage,
   findClipForScene,
-  splitScriptToScenes,
-  downloadRemoteFileToLocal
+  splitScriptToScenes
 };
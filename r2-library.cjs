@@ -0,0 +1,205 @@
+/* ===========================================================
+   R2 LIBRARY – SocialStormAI
+   -----------------------------------------------------------
+   - Cached manifest of the curated clip bucket (socialstorm-library):
+     key, tags (from the file name), size, duration, resolution
+   - Manifest is persisted to cache/ and refreshed periodically
+     (R2_MANIFEST_REFRESH_MINUTES) instead of listing the bucket
+     for every scene
+   - Duration/resolution are probed lazily when a clip is picked
+   - Signed GET URLs, so the bucket does not need to be public
+   - **MAXIMUM LOGGING IN EVERY FUNCTION**
+   =========================================================== */
+
+const AWS = require('aws-sdk');
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { ListObjectsV2Command } = require('@aws-sdk/client-s3');
+
+// ENV
+const R2_LIBRARY_BUCKET = process.env.R2_LIBRARY_BUCKET || 'socialstorm-library';
+const R2_ENDPOINT = process.env.R2_ENDPOINT;
+const R2_MANIFEST_REFRESH_MINUTES = parseFloat(process.env.R2_MANIFEST_REFRESH_MINUTES) || 30;
+const R2_SIGNED_URL_SECONDS = parseInt(process.env.R2_SIGNED_URL_SECONDS, 10) || 3600;
+
+const CACHE_DIR = path.resolve(__dirname, 'cache');
+const MANIFEST_PATH = path.join(CACHE_DIR, 'r2-library-manifest.json');
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.m4v', '.webm'];
+const TAG_STOPWORDS = new Set(['the', 'and', 'of', 'a', 'an', 'in', 'on', 'at', 'to', 'with', 'clip', 'video', 'stock', 'hd', '4k', 'final', 'copy']);
+
+let manifest = null;      // { bucket, refreshedAt, entries: [...] }
+let refreshing = null;    // in-flight refresh promise
+let refreshTimer = null;
+let signer = null;
+
+// --- "animals/lion_roaring-savanna_01.mp4" → ["animals", "lion", "roaring", "savanna"] ---
+function tagsForKey(key) {
+  const noExt = key.replace(/\.[^./]+$/, '');
+  const words = noExt
+    .toLowerCase()
+    .split(/[\/\s_\-.]+/)
+    .map(w => w.replace(/[^a-z0-9]/g, ''))
+    .filter(w => w && !/^\d+$/.test(w) && !TAG_STOPWORDS.has(w));
+  return [...new Set(words)];
+}
+
+function loadManifestFromDisk() {
+  try {
+    if (!fs.existsSync(MANIFEST_PATH)) return null;
+    const data = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+    if (data.bucket !== R2_LIBRARY_BUCKET || !Array.isArray(data.entries)) return null;
+    console.log(`[R2LIB] Loaded manifest from disk: ${data.entries.length} clips (refreshed ${data.refreshedAt})`);
+    return data;
+  } catch (err) {
+    console.error('[R2LIB] Could not read manifest from disk:', err.message);
+    return null;
+  }
+}
+
+function saveManifestToDisk() {
+  if (!manifest) return;
+  try {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    const tmp = `${MANIFEST_PATH}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(manifest));
+    fs.renameSync(tmp, MANIFEST_PATH);
+  } catch (err) {
+    console.error('[R2LIB] Could not persist manifest:', err.message);
+  }
+}
+
+function isStale(data) {
+  if (!data || !data.refreshedAt) return true;
+  return Date.now() - new Date(data.refreshedAt).getTime() > R2_MANIFEST_REFRESH_MINUTES * 60 * 1000;
+}
+
+// --- List the bucket once and rebuild the manifest, keeping probed metadata for unchanged objects ---
+async function refreshManifest(s3Client) {
+  if (refreshing) return refreshing;
+  refreshing = (async () => {
+    console.log(`[R2LIB] Refreshing manifest for bucket ${R2_LIBRARY_BUCKET}...`);
+    const previous = new Map(((manifest && manifest.entries) || []).map(e => [e.key, e]));
+    const entries = [];
+    let continuationToken;
+    let round = 0;
+    do {
+      round++;
+      const resp = await s3Client.send(new ListObjectsV2Command({
+        Bucket: R2_LIBRARY_BUCKET,
+        ContinuationToken: continuationToken
+      }));
+      for (const obj of (resp && resp.Contents) || []) {
+        if (!VIDEO_EXTENSIONS.includes(path.extname(obj.Key).toLowerCase())) continue;
+        const etag = obj.ETag ? String(obj.ETag).replace(/"/g, '') : null;
+        const prev = previous.get(obj.Key);
+        const keepProbe = prev && prev.etag === etag;
+        entries.push({
+          key: obj.Key,
+          tags: tagsForKey(obj.Key),
+          size: obj.Size || 0,
+          etag,
+          lastModified: obj.LastModified ? new Date(obj.LastModified).toISOString() : null,
+          duration: keepProbe ? prev.duration : null,
+          width: keepProbe ? prev.width : null,
+          height: keepProbe ? prev.height : null
+        });
+      }
+      continuationToken = resp.NextContinuationToken;
+      console.log(`[R2LIB] Listed round ${round}, ${entries.length} clips so far`);
+    } while (continuationToken);
+
+    manifest = { bucket: R2_LIBRARY_BUCKET, refreshedAt: new Date().toISOString(), entries };
+    saveManifestToDisk();
+    console.log(`[R2LIB] Manifest refreshed: ${entries.length} clips`);
+    return manifest;
+  })();
+  try {
+    return await refreshing;
+  } finally {
+    refreshing = null;
+  }
+}
+
+// --- MAIN: current manifest (memory → disk → bucket), refreshing when stale ---
+// A stale manifest is still served if the refresh fails.
+async function getLibraryManifest(s3Client, { force = false } = {}) {
+  if (!manifest) manifest = loadManifestFromDisk();
+  if (!force && manifest && !isStale(manifest)) return manifest;
+  try {
+    return await refreshManifest(s3Client);
+  } catch (err) {
+    console.error('[R2LIB] Manifest refresh failed:', err);
+    if (manifest) {
+      console.warn(`[R2LIB] Serving stale manifest (${manifest.entries.length} clips)`);
+      return manifest;
+    }
+    throw err;
+  }
+}
+
+// --- Periodic background refresh (timer does not keep the process alive) ---
+function startManifestRefresh(s3Client) {
+  if (refreshTimer) return;
+  getLibraryManifest(s3Client).catch(err => console.error('[R2LIB] Initial manifest load failed:', err.message));
+  refreshTimer = setInterval(() => {
+    refreshManifest(s3Client).catch(err => console.error('[R2LIB] Scheduled refresh failed:', err.message));
+  }, R2_MANIFEST_REFRESH_MINUTES * 60 * 1000);
+  refreshTimer.unref();
+  console.log(`[R2LIB] Manifest refresh every ${R2_MANIFEST_REFRESH_MINUTES} min`);
+}
+
+// --- Presigned GET URL for a library object ---
+function getSigner() {
+  if (!signer) {
+    signer = new AWS.S3({
+      endpoint: R2_ENDPOINT,
+      accessKeyId: process.env.R2_ACCESS_KEY_ID || process.env.R2_ACCESS_KEY,
+      secretAccessKey: process.env.R2_SECRET_ACCESS_KEY || process.env.R2_SECRET_KEY,
+      region: 'auto',
+      signatureVersion: 'v4',
+      s3ForcePathStyle: true
+    });
+  }
+  return signer;
+}
+
+async function getSignedClipUrl(key, expiresIn = R2_SIGNED_URL_SECONDS) {
+  const url = await getSigner().getSignedUrlPromise('getObject', {
+    Bucket: R2_LIBRARY_BUCKET,
+    Key: key,
+    Expires: expiresIn
+  });
+  console.log(`[R2LIB] Signed URL issued for ${key} (${expiresIn}s)`);
+  return url;
+}
+
+// --- Fill in duration/resolution for an entry (ffprobe over the signed URL), persisted ---
+async function probeLibraryEntry(entry) {
+  if (!entry || (entry.duration && entry.width && entry.height)) return entry;
+  try {
+    const url = await getSignedClipUrl(entry.key, 600);
+    const metadata = await new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(url, (err, data) => (err ? reject(err) : resolve(data)));
+    });
+    const video = (metadata.streams || []).find(s => s.codec_type === 'video') || {};
+    entry.duration = metadata.format && metadata.format.duration ? Number(metadata.format.duration) : null;
+    entry.width = video.width || null;
+    entry.height = video.height || null;
+    console.log(`[R2LIB] Probed ${entry.key}: ${entry.width}x${entry.height}, ${entry.duration}s`);
+    saveManifestToDisk();
+  } catch (err) {
+    console.error(`[R2LIB] Probe failed for ${entry.key}:`, err.message);
+  }
+  return entry;
+}
+
+module.exports = {
+  R2_LIBRARY_BUCKET,
+  tagsForKey,
+  getLibraryManifest,
+  refreshManifest,
+  startManifestRefresh,
+  getSignedClipUrl,
+  probeLibraryEntry
+};
@@ -0,0 +1,182 @@
+/* ===========================================================
+   SCRIPT PROMPTS – SocialStormAI
+   -----------------------------------------------------------
+   - Prompt templates for /api/generate-script, stored as files:
+       prompts/script-base.txt          shared rules + JSON output spec
+       prompts/script-styles/<name>.txt one file per style
+   - Style file: "label:" and "description:" lines, then
+     == RULES ==, == TONE == and == EXAMPLE == sections
+   - Target duration (seconds) → number of script lines
+   - Target language + matching voices from the TTS catalog
+   - Model / temperature from SCRIPT_MODEL / SCRIPT_TEMPERATURE
+   - **MAXIMUM LOGGING IN EVERY FUNCTION**
+   =========================================================== */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROMPTS_DIR = path.resolve(__dirname, 'prompts');
+const STYLES_DIR = path.join(PROMPTS_DIR, 'script-styles');
+const DEFAULT_STYLE = 'viral';
+
+// Must support json_schema structured outputs (see script-schema.cjs)
+const SCRIPT_MODEL = process.env.SCRIPT_MODEL || 'gpt-4o';
+const SCRIPT_TEMPERATURE = Number.isFinite(parseFloat(process.env.SCRIPT_TEMPERATURE))
+  ? parseFloat(process.env.SCRIPT_TEMPERATURE)
+  : 0.84;
+
+// A scene is 0.5s lead-in + narration + 1s tail (see runVideoJob); a short line narrates in ~3s
+const SECONDS_PER_LINE = 4.5;
+const DURATION_RANGE = [15, 180];
+const LINE_RANGE = [3, 30];
+const DEFAULT_LINES = { min: 6, max: 10 };
+
+const LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  pt: 'Portuguese'
+};
+const DEFAULT_LANGUAGE = 'en';
+
+let templates = null; // { base, styles: { name → { name, label, description, rules, tone, example } } }
+
+// --- Split a style file into its header fields and == SECTION == blocks ---
+function parseStyleFile(name, text) {
+  const style = { name, label: name, description: '', rules: '', tone: '', example: '' };
+  let section = null;
+  const blocks = {};
+  for (const line of text.split('\n')) {
+    const header = line.match(/^==\s*([A-Z]+)\s*==\s*$/);
+    if (header) {
+      section = header[1].toLowerCase();
+      blocks[section] = [];
+    } else if (section) {
+      blocks[section].push(line);
+    } else {
+      const field = line.match(/^(label|description):\s*(.+)$/i);
+      if (field) style[field[1].toLowerCase()] = field[2].trim();
+    }
+  }
+  for (const key of ['rules', 'tone', 'example']) {
+    style[key] = (blocks[key] || []).join('\n').trim();
+  }
+  return style;
+}
+
+function loadTemplates() {
+  if (templates) return templates;
+  const base = fs.readFileSync(path.join(PROMPTS_DIR, 'script-base.txt'), 'utf8');
+  const styles = {};
+  for (const file of fs.readdirSync(STYLES_DIR).filter(f => f.endsWith('.txt')).sort()) {
+    const name = path.basename(file, '.txt');
+    styles[name] = parseStyleFile(name, fs.readFileSync(path.join(STYLES_DIR, file), 'utf8'));
+  }
+  if (!styles[DEFAULT_STYLE]) throw new Error(`Missing default script style: ${DEFAULT_STYLE}.txt`);
+  templates = { base, styles };
+  console.log(`[PROMPTS] Loaded ${Object.keys(styles).length} script styles: ${Object.keys(styles).join(', ')}`);
+  return templates;
+}
+
+// --- For GET /api/script-options ---
+function listScriptStyles() {
+  return Object.values(loadTemplates().styles).map(({ name, label, description }) => ({ name, label, description }));
+}
+
+// --- Target seconds → number of script lines ---
+function lineCountForDuration(seconds) {
+  const lines = Math.round(seconds / SECONDS_PER_LINE);
+  return Math.min(LINE_RANGE[1], Math.max(LINE_RANGE[0], lines));
+}
+
+// --- Validate request options → { options, errors } ---
+// options: { style, duration, lineCount, language: { code, name } }
+function resolveScriptOptions({ style, duration, language } = {}) {
+  const { styles } = loadTemplates();
+  const errors = [];
+
+  const styleName = style ? String(style).toLowerCase() : DEFAULT_STYLE;
+  const knownStyle = Object.hasOwn(styles, styleName);
+  if (!knownStyle) errors.push(`Unknown style "${style}" (use ${Object.keys(styles).join(', ')})`);
+
+  let seconds = null;
+  if (duration !== undefined && duration !== null && duration !== '') {
+    seconds = Number(duration);
+    if (!Number.isFinite(seconds) || seconds < DURATION_RANGE[0] || seconds > DURATION_RANGE[1]) {
+      errors.push(`duration must be between ${DURATION_RANGE[0]} and ${DURATION_RANGE[1]} seconds`);
+      seconds = null;
+    }
+  }
+
+  // "es", "es-US" or "Spanish"
+  const raw = String(language || DEFAULT_LANGUAGE).trim();
+  const code = raw.split('-')[0].toLowerCase();
+  const byName = Object.keys(LANGUAGES).find(k => LANGUAGES[k].toLowerCase() === raw.toLowerCase());
+  const langCode = Object.hasOwn(LANGUAGES, code) ? code : byName;
+  if (!langCode) errors.push(`Unsupported language "${language}" (use ${Object.keys(LANGUAGES).join(', ')})`);
+
+  return {
+    options: {
+      style: knownStyle ? styleName : DEFAULT_STYLE,
+      duration: seconds,
+      lineCount: seconds ? lineCountForDuration(seconds) : null,
+      language: { code: langCode || DEFAULT_LANGUAGE, name: LANGUAGES[langCode || DEFAULT_LANGUAGE] }
+    },
+    errors
+  };
+}
+
+function fill(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (m, key) => (values[key] !== undefined ? String(values[key]) : m));
+}
+
+// --- MAIN: full system prompt for an idea ---
+function buildScriptPrompt(idea, options) {
+  const { base, styles } = loadTemplates();
+  const style = Object.hasOwn(styles, options.style) ? styles[options.style] : styles[DEFAULT_STYLE];
+  const lengthRule = options.lineCount
+    ? `Write exactly ${options.lineCount} lines (about ${options.duration} seconds of narration).`
+    : `Aim for ${DEFAULT_LINES.min} to ${DEFAULT_LINES.max} lines total.`;
+  const values = {
+    idea,
+    styleLabel: style.label,
+    lengthRule,
+    language: options.language.name,
+    // Countdown entries leave room for the hook and a closing line
+    itemCount: Math.max(3, (options.lineCount || DEFAULT_LINES.max) - 2)
+  };
+  const prompt = fill(base, {
+    ...values,
+    styleRules: fill(style.rules, values),
+    styleTone: fill(style.tone, values),
+    example: style.example
+  }).trim();
+  console.log(`[PROMPTS] Built "${style.name}" prompt | lines: ${options.lineCount || `${DEFAULT_LINES.min}-${DEFAULT_LINES.max}`} | language: ${options.language.name}`);
+  return prompt;
+}
+
+// --- Most lines a reply may keep (a little slack over the target) ---
+function maxScriptLines(options) {
+  return options.lineCount ? options.lineCount + 2 : DEFAULT_LINES.max;
+}
+
+// --- Catalog voices that speak the language, Free tier first ---
+function suggestVoices(voices, languageCode) {
+  return voices
+    .filter(v => !v.disabled && String(v.languageCode || 'en-US').split('-')[0] === languageCode)
+    .sort((a, b) => (a.tier === 'Free' ? 0 : 1) - (b.tier === 'Free' ? 0 : 1))
+    .slice(0, 4)
+    .map(v => ({ id: v.id, name: v.name, provider: v.provider, gender: v.gender, languageCode: v.languageCode, tier: v.tier }));
+}
+
+module.exports = {
+  SCRIPT_MODEL,
+  SCRIPT_TEMPERATURE,
+  LANGUAGES,
+  listScriptStyles,
+  resolveScriptOptions,
+  buildScriptPrompt,
+  maxScriptLines,
+  suggestVoices
+};
@@ -0,0 +1,186 @@
+/* ===========================================================
+   SCRIPT REWRITE – SocialStormAI
+   -----------------------------------------------------------
+   - Edit one part of a script instead of regenerating it:
+       rewriteLine()          – one line, rewritten in context
+                                ("funnier", "shorter", or any
+                                short free-form instruction)
+       generateHookVariants() – alternative hooks for line 1
+   - Lines come from splitScriptToScenes (one line = one scene),
+     so line numbers match the scenes of the rendered video
+   - Same model, structured output and retry as /api/generate-script
+   - **MAXIMUM LOGGING IN EVERY FUNCTION**
+   =========================================================== */
+
+const { splitScriptToScenes } = require('./pexels-helper.cjs');
+const { stripMarkup } = require('./ssml-helper.cjs');
+const { SCRIPT_MODEL, SCRIPT_TEMPERATURE } = require('./script-prompts.cjs');
+const { checkLineText, cleanLineText, requestStructuredOutput } = require('./script-schema.cjs');
+
+// Shorthand instructions the UI offers; anything else is passed through as written
+const REWRITE_PRESETS = {
+  funnier: 'Make it funnier — a clever joke or playful twist, same fact.',
+  shorter: 'Make it noticeably shorter and punchier, same meaning.',
+  longer: 'Add one vivid detail, but keep it a single spoken line.',
+  dramatic: 'Make it more dramatic and suspenseful.',
+  simpler: 'Use simpler words a 12-year-old would understand.',
+  surprising: 'Make it more surprising — lead with the unexpected part.'
+};
+const MAX_INSTRUCTION_CHARS = 200;
+const HOOK_COUNT_RANGE = [2, 8];
+const DEFAULT_HOOK_COUNT = 5;
+
+const LINE_SCHEMA = {
+  name: 'rewritten_line',
+  strict: true,
+  schema: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['line'],
+    properties: { line: { type: 'string' } }
+  }
+};
+
+const HOOKS_SCHEMA = {
+  name: 'hook_variants',
+  strict: true,
+  schema: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['hooks'],
+    properties: { hooks: { type: 'array', items: { type: 'string' } } }
+  }
+};
+
+// --- Script → numbered plain lines for the prompt ---
+function numberedLines(lines) {
+  return lines.map((l, i) => `${i + 1}. ${stripMarkup(l)}`).join('\n');
+}
+
+// --- Request fields → { lines, index, instruction, count, errors } (index is 0-based) ---
+function resolveRewriteRequest({ script, line, instruction, count } = {}, { forRewrite = false } = {}) {
+  const errors = [];
+  const lines = splitScriptToScenes(typeof script === 'string' ? script : '').map(s => s.text);
+  if (!lines.length) errors.push('Missing script');
+
+  let index = null;
+  if (forRewrite) {
+    const n = Number(line);
+    if (!Number.isInteger(n) || n < 1 || n > lines.length) {
+      errors.push(`line must be a line number between 1 and ${lines.length || 1}`);
+    } else {
+      index = n - 1;
+    }
+  }
+
+  let text = null;
+  if (forRewrite) {
+    const raw = typeof instruction === 'string' ? instruction.trim() : '';
+    if (!raw) errors.push(`Missing instruction (e.g. ${Object.keys(REWRITE_PRESETS).join(', ')})`);
+    else if (raw.length > MAX_INSTRUCTION_CHARS) errors.push(`instruction must be at most ${MAX_INSTRUCTION_CHARS} characters`);
+    else text = REWRITE_PRESETS[raw.toLowerCase()] || raw;
+  }
+
+  let hookCount = DEFAULT_HOOK_COUNT;
+  if (count !== undefined && count !== null && count !== '') {
+    hookCount = Number(count);
+    if (!Number.isInteger(hookCount) || hookCount < HOOK_COUNT_RANGE[0] || hookCount > HOOK_COUNT_RANGE[1]) {
+      errors.push(`count must be between ${HOOK_COUNT_RANGE[0]} and ${HOOK_COUNT_RANGE[1]}`);
+    }
+  }
+
+  return { lines, index, instruction: text, count: hookCount, errors };
+}
+
+// --- MAIN: rewrite lines[index]; resolves { line, errors } (line null when the model output stayed invalid) ---
+async function rewriteLine(openai, lines, index, instruction, options) {
+  const original = stripMarkup(lines[index]);
+  console.log(`[REWRITE] Line ${index + 1}/${lines.length} | "${original}" | instruction: ${instruction}`);
+  const prompt = `
+You are editing a narrated short-form video script (${options.language.name}). Each line is one spoken scene.
+
+Script:
+${numberedLines(lines)}
+
+Rewrite ONLY line ${index + 1}: "${original}"
+Instruction: ${instruction}
+
+- Keep it one spoken line that still flows from line ${index} and into line ${index + 2}.
+- Write it in ${options.language.name}.
+- No camera directions, hashtags, emojis or quote marks.
+- It must be different from the current line.
+
+Return JSON only: { "line": "the rewritten line" }
+  `.trim();
+
+  const { result, errors } = await requestStructuredOutput(openai, {
+    model: SCRIPT_MODEL,
+    temperature: SCRIPT_TEMPERATURE,
+    maxTokens: 300,
+    messages: [{ role: 'system', content: prompt }],
+    schema: LINE_SCHEMA,
+    tag: 'REWRITE',
+    validate: json => {
+      const line = cleanLineText(json.line);
+      const error = checkLineText(line) || (line.toLowerCase() === original.toLowerCase() ? 'is identical to the current line' : null);
+      return error ? { errors: [`line ${error}`], result: null } : { errors: [], result: line };
+    }
+  });
+  if (result) console.log(`[REWRITE] Line ${index + 1} → "${result}"`);
+  return { line: result, errors };
+}
+
+// --- MAIN: alternative hooks for line 1; resolves { hooks, errors } ---
+async function generateHookVariants(openai, lines, count, options) {
+  const original = stripMarkup(lines[0]);
+  console.log(`[REWRITE] ${count} hook variants for "${original}"`);
+  const prompt = `
+You are editing a narrated short-form video script (${options.language.name}). Each line is one spoken scene.
+
+Script:
+${numberedLines(lines)}
+
+Write ${count} alternative HOOKS to replace line 1: "${original}"
+
+- Each hook is one short spoken line that makes the viewer stay — surprising, dramatic, or funny.
+- Use a different angle for each: a question, a bold claim, a number, a challenge, a mystery.
+- Each must lead naturally into line 2.
+- Write them in ${options.language.name}.
+- No camera directions, hashtags, emojis or quote marks.
+
+Return JSON only: { "hooks": ["hook 1", "hook 2", ...] }
+  `.trim();
+
+  const { result, errors } = await requestStructuredOutput(openai, {
+    model: SCRIPT_MODEL,
+    temperature: Math.max(SCRIPT_TEMPERATURE, 0.9), // variety matters more than polish here
+    maxTokens: 120 + count * 80,
+    messages: [{ role: 'system', content: prompt }],
+    schema: HOOKS_SCHEMA,
+    tag: 'HOOKS',
+    validate: json => {
+      const seen = new Set([original.toLowerCase()]);
+      const hooks = [];
+      for (const raw of Array.isArray(json.hooks) ? json.hooks : []) {
+        const hook = cleanLineText(raw);
+        if (checkLineText(hook) || seen.has(hook.toLowerCase())) continue;
+        seen.add(hook.toLowerCase());
+        hooks.push(hook);
+      }
+      // Drop the odd bad hook, but a mostly-bad batch is worth one retry
+      if (hooks.length < Math.ceil(count / 2)) {
+        return { errors: [`"hooks" must contain ${count} distinct, usable lines (got ${hooks.length})`], result: null };
+      }
+      return { errors: [], result: hooks.slice(0, count) };
+    }
+  });
+  if (result) console.log(`[HOOKS] Variants:`, result);
+  return { hooks: result, errors };
+}
+
+module.exports = {
+  REWRITE_PRESETS,
+  resolveRewriteRequest,
+  rewriteLine,
+  generateHookVariants
+};
@@ -0,0 +1,167 @@
+/* ===========================================================
+   SCRIPT SCHEMA – SocialStormAI
+   -----------------------------------------------------------
+   - JSON schema for /api/generate-script model output:
+       { scenes: [{ text, visual: [query, ...] }], title, description, tags }
+   - validateScriptOutput() checks what the schema can't
+     (lengths, camera directions, hashtags) and returns readable
+     errors, which are sent back to the model on the retry
+   - requestStructuredOutput(): the call + validate + one retry
+     loop, shared by every script endpoint
+   - checkLineText() is shared with the line rewrite / hook
+     endpoints (script-rewrite.cjs)
+   - visual = stock-footage search queries for the scene, used
+     by the video pipeline as clip queries (sceneHints)
+   - **MAXIMUM LOGGING IN EVERY FUNCTION**
+   =========================================================== */
+
+const { sanitizeQueries } = require('./subject-extractor.cjs');
+
+const SCRIPT_SCHEMA = {
+  name: 'video_script',
+  strict: true,
+  schema: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['scenes', 'title', 'description', 'tags'],
+    properties: {
+      scenes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['text', 'visual'],
+          properties: {
+            text: { type: 'string', description: 'One spoken line of narration' },
+            visual: {
+              type: 'array',
+              items: { type: 'string' },
+              description: '1-3 stock footage search queries for what is on screen, best first'
+            }
+          }
+        }
+      },
+      title: { type: 'string' },
+      description: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string' } }
+    }
+  }
+};
+
+const MIN_SCENES = 3;
+const MAX_LINE_CHARS = 300;
+const MAX_TITLE_CHARS = 100;
+const CAMERA_DIRECTION_RE = /^(cut to|zoom|pan|fade|camera|pov|flash|transition|scene \d+)\b/i;
+
+// --- One narration line: error message, or null when it's usable ---
+function checkLineText(text) {
+  if (!text) return 'is empty';
+  if (text.length > MAX_LINE_CHARS) return `is longer than ${MAX_LINE_CHARS} characters`;
+  if (CAMERA_DIRECTION_RE.test(text)) return `is a camera direction, not narration: "${text}"`;
+  if (/#\w/.test(text)) return 'contains a hashtag';
+  return null;
+}
+
+// --- Model line → plain narration line (whitespace and wrapping quotes removed) ---
+function cleanLineText(text) {
+  return typeof text === 'string' ? text.replace(/\s+/g, ' ').replace(/^["“]|["”]$/g, '').trim() : '';
+}
+
+// --- Validate parsed model output → { errors, result } ---
+// result: { scenes: [{ text, visual }], script, title, description, tags } (tags space-separated)
+function validateScriptOutput(parsed, { maxLines } = {}) {
+  const errors = [];
+  if (!parsed || typeof parsed !== 'object') return { errors: ['Output is not a JSON object'], result: null };
+
+  let scenes = Array.isArray(parsed.scenes) ? parsed.scenes : [];
+  if (!Array.isArray(parsed.scenes)) errors.push('"scenes" must be an array');
+  if (maxLines && scenes.length > maxLines) {
+    console.warn(`[SCRIPT] ${scenes.length} scenes returned, keeping the first ${maxLines}`);
+    scenes = scenes.slice(0, maxLines);
+  }
+  if (scenes.length < MIN_SCENES) errors.push(`"scenes" must contain at least ${MIN_SCENES} scenes (got ${scenes.length})`);
+
+  const cleanScenes = scenes.map((scene, i) => {
+    const at = `scenes[${i}]`;
+    const text = cleanLineText(scene?.text);
+    const textError = checkLineText(text);
+    if (textError) errors.push(`${at}.text ${textError}`);
+    const visual = sanitizeQueries(scene?.visual);
+    if (!visual.length) errors.push(`${at}.visual needs 1-3 search queries`);
+    return { text, visual };
+  });
+
+  const title = typeof parsed.title === 'string' ? parsed.title.replace(/^["']|["']$/g, '').trim() : '';
+  const description = typeof parsed.description === 'string' ? parsed.description.trim() : '';
+  if (!title) errors.push('"title" is empty');
+  else if (title.length > MAX_TITLE_CHARS) errors.push(`"title" is longer than ${MAX_TITLE_CHARS} characters`);
+  if (!description) errors.push('"description" is empty');
+
+  const tags = (Array.isArray(parsed.tags) ? parsed.tags : [])
+    .map(t => String(t).toLowerCase().replace(/^#/, '').replace(/\s+/g, ''))
+    .filter(Boolean)
+    .slice(0, 5);
+  if (!tags.length) errors.push('"tags" must contain 1-5 words');
+
+  if (errors.length) {
+    console.warn(`[SCRIPT] Output failed validation (${errors.length} errors):`, errors);
+    return { errors, result: null };
+  }
+  return {
+    errors,
+    result: {
+      scenes: cleanScenes,
+      script: cleanScenes.map(s => s.text).join('\n'),
+      title,
+      description,
+      tags: tags.join(' ')
+    }
+  };
+}
+
+// --- MAIN: chat call with a json_schema response, validated, retried once with the errors ---
+// validate(parsed) → { errors, result }. Resolves { result, errors }; result is null when both attempts fail.
+async function requestStructuredOutput(openai, { model, temperature, maxTokens, messages, schema, validate, tag = 'GPT' }) {
+  const history = [...messages];
+  let errors = [];
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const completion = await openai.chat.completions.create({
+      model,
+      temperature,
+      max_tokens: maxTokens,
+      response_format: { type: 'json_schema', json_schema: schema },
+      messages: history
+    });
+    const raw = completion?.choices?.[0]?.message?.content?.trim() || '';
+    console.log(`[${tag}] Raw output (attempt ${attempt}):\n` + raw);
+
+    let parsed = null;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (err) {
+      errors = [`Output is not valid JSON: ${err.message}`];
+    }
+    if (parsed) {
+      const validated = validate(parsed);
+      if (validated.result) return { result: validated.result, errors: [] };
+      errors = validated.errors;
+    }
+    if (attempt === 1) {
+      console.warn(`[${tag}] Invalid output, retrying once:`, errors);
+      history.push(
+        { role: 'assistant', content: raw || '(empty)' },
+        { role: 'user', content: `That output is invalid:\n- ${errors.join('\n- ')}\nReturn the corrected JSON only.` }
+      );
+    }
+  }
+  console.error(`[${tag}] Output still invalid after retry:`, errors);
+  return { result: null, errors };
+}
+
+module.exports = {
+  SCRIPT_SCHEMA,
+  checkLineText,
+  cleanLineText,
+  validateScriptOutput,
+  requestStructuredOutput
+};
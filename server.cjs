@@ -61,7 +61,6 @@ console.log('[INFO] R2_LIBRARY_BUCKET:', R2_LIBRARY_BUCKET);
 console.log('[INFO] R2_VIDEOS_BUCKET:', R2_VIDEOS_BUCKET);
 console.log('[INFO] R2_ENDPOINT:', R2_ENDPOINT);
 
-const JOBS_DIR = path.join(__dirname, 'jobs');
 console.log('[INFO] Dependencies loaded.');
 
 const requiredEnvVars = [
@@ -95,15 +94,86 @@ app.use(cors());
 app.use(express.json({ limit: '12mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-const progress = {};
-console.log('[INFO] Progress tracker initialized.');
+// === DURABLE JOB STORE + BOUNDED WORKER QUEUE ===
+const {
+  RENDERS_DIR,
+  createJob,
+  getJob,
+  updateJob,
+  failJob,
+  completeJob,
+  enqueueJob,
+  toProgress,
+  jobEvents,
+  emitJobEvent,
+  getJobEvents,
+  startJobWorkers,
+  recoverJobs
+} = require('./job-store.cjs');
+recoverJobs();
+console.log('[INFO] Job store initialized.');
 
 // === LOAD HELPERS ONCE, IN SECTION 1 ===
 const {
-  splitScriptToScenes,
   findClipForScene,
-  downloadRemoteFileToLocal
+  makeKenBurnsVideoFromImage
 } = require('./pexels-helper.cjs');
+const { startManifestRefresh } = require('./r2-library.cjs');
+const { getVisualQueries, sanitizeQueries } = require('./subject-extractor.cjs');
+const { validateTimeline, scriptToTimeline } = require('./timeline-helper.cjs');
+const { resolveOutputFormats } = require('./output-formats.cjs');
+const { generateMetadata, buildPlatformVariants } = require('./metadata-helper.cjs');
+const {
+  SCRIPT_MODEL,
+  SCRIPT_TEMPERATURE,
+  LANGUAGES,
+  listScriptStyles,
+  resolveScriptOptions,
+  buildScriptPrompt,
+  maxScriptLines,
+  suggestVoices
+} = require('./script-prompts.cjs');
+const { SCRIPT_SCHEMA, validateScriptOutput, requestStructuredOutput } = require('./script-schema.cjs');
+const { resolveRewriteRequest, rewriteLine, generateHookVariants } = require('./script-rewrite.cjs');
+const { checkContentSafety, flagClaims } = require('./content-safety.cjs');
+const {
+  resolveTransition,
+  resolveTransitionDuration,
+  concatWithTransitions
+} = require('./transitions-helper.cjs');
+const { fetchMediaToPath, getMediaCacheStats } = require('./media-cache.cjs');
+const {
+  UPLOAD_MAX_MB,
+  uploadMiddleware,
+  getUpload,
+  storeUpload,
+  resolveUploadFile,
+  discardTempFile
+} = require('./uploads-helper.cjs');
+startManifestRefresh(s3Client);
+
+const { listVoices, getVoice, synthesizeWithFallback, getWordTimings } = require('./tts-providers.cjs');
+const { stripMarkup } = require('./ssml-helper.cjs');
+const {
+  resolveCaptionStyle,
+  alignWordsToAudio,
+  renderCaptionOverlays,
+  burnCaptions
+} = require('./captions-helper.cjs');
+const { SUBTITLE_FORMATS, buildSubtitleCues, toSrt, toVtt } = require('./subtitles-helper.cjs');
+const {
+  listMusicLibrary,
+  resolveMood,
+  inferMood,
+  pickMusicForMood,
+  fitMusicToDuration
+} = require('./music-helper.cjs');
+const {
+  resolveTargetLufs,
+  mixMusicUnderVoice,
+  normalizeLoudness,
+  measureLoudness
+} = require('./audio-mix-helper.cjs');
 
 console.log('[INFO] Helper functions loaded.');
 
@@ -131,11 +201,14 @@ const getAudioDuration = (audioPath) => {
 };
 
 // Trim video to duration (God-Tier Logging)
+// The input is looped, so a clip shorter than the scene (e.g. the shared hook clip
+// fetched for scene 1's length and reused for a longer scene 2) still fills it.
 const trimVideo = (inPath, outPath, duration, seek = 0) => {
   return new Promise((resolve, reject) => {
     console.log(`[HELPER] [trimVideo] Trimming ${inPath} to ${duration}s, outPath: ${outPath}, seek: ${seek}`);
     fs.mkdirSync(path.dirname(outPath), { recursive: true });
     ffmpeg(inPath)
+      .inputOptions(['-stream_loop', '-1'])
       .setStartTime(seek)
       .setDuration(duration)
       .output(outPath)
@@ -151,10 +224,28 @@ const trimVideo = (inPath, outPath, duration, seek = 0) => {
   });
 };
 
-// Normalize to 9x16, blurred background (God-Tier Logging)
-const normalizeTo9x16Blurred = (inPath, outPath, width, height) => {
+// Pick where to start reading a clip so a reused clip shows a different segment.
+// usedSegments: [{ start, end }] already shown from this clip in the job. First use → 0.
+const pickSeekOffset = (clipDuration, needed, usedSegments = []) => {
+  if (!clipDuration || clipDuration <= needed || !usedSegments.length) return 0;
+  const maxStart = clipDuration - needed;
+  const starts = [0, maxStart, ...usedSegments.map(s => s.end)];
+  for (let k = 1; k < 5; k++) starts.push((maxStart * k) / 5);
+  const overlapAt = (start) => usedSegments.reduce(
+    (sum, s) => sum + Math.max(0, Math.min(start + needed, s.end) - Math.max(start, s.start)), 0
+  );
+  const best = starts
+    .filter(start => start >= 0 && start <= maxStart)
+    .map(start => ({ start, overlap: overlapAt(start) }))
+    .sort((a, b) => a.overlap - b.overlap || a.start - b.start)[0];
+  console.log(`[HELPER] [pickSeekOffset] clip ${clipDuration.toFixed(2)}s, need ${needed.toFixed(2)}s, ${usedSegments.length} used → seek ${best.start.toFixed(2)}s (overlap ${best.overlap.toFixed(2)}s)`);
+  return best.start;
+};
+
+// Normalize to the output frame (any aspect), blurred background (God-Tier Logging)
+const normalizeToFrameBlurred = (inPath, outPath, width, height) => {
   return new Promise((resolve, reject) => {
-    console.log(`[HELPER] [normalizeTo9x16Blurred] Normalizing ${inPath} to ${width}x${height}, output: ${outPath}`);
+    console.log(`[HELPER] [normalizeToFrameBlurred] Normalizing ${inPath} to ${width}x${height}, output: ${outPath}`);
     fs.mkdirSync(path.dirname(outPath), { recursive: true });
     ffmpeg(inPath)
       .complexFilter([
@@ -165,11 +256,11 @@ const normalizeTo9x16Blurred = (inPath, outPath, width, height) => {
       .outputOptions(['-c:a copy'])
       .output(outPath)
       .on('end', () => {
-        console.log(`[HELPER] [normalizeTo9x16Blurred] Success: ${outPath}`);
+        console.log(`[HELPER] [normalizeToFrameBlurred] Success: ${outPath}`);
         resolve();
       })
       .on('error', (err) => {
-        console.error(`[HELPER] [normalizeTo9x16Blurred] Error:`, err);
+        console.error(`[HELPER] [normalizeToFrameBlurred] Error:`, err);
         reject(err);
       })
       .run();
@@ -198,14 +289,18 @@ const addSilentAudioTrack = (inPath, outPath, duration) => {
 };
 
 // Mux video with narration audio (God-Tier Logging)
-const muxVideoWithNarration = (videoPath, audioPath, outPath, duration) => {
+// Narration starts `leadIn` seconds into the scene and is padded with silence to `duration`,
+// so scene timings (captions, subtitles) are leadIn + audio + tail.
+const muxVideoWithNarration = (videoPath, audioPath, outPath, duration, leadIn = 0) => {
   return new Promise((resolve, reject) => {
-    console.log(`[HELPER] [muxVideoWithNarration] Combining video ${videoPath} + audio ${audioPath} → ${outPath} (duration: ${duration}s)`);
+    console.log(`[HELPER] [muxVideoWithNarration] Combining video ${videoPath} + audio ${audioPath} → ${outPath} (duration: ${duration}s, leadIn: ${leadIn}s)`);
     fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    const delayMs = Math.round(leadIn * 1000);
     ffmpeg()
       .input(videoPath)
       .input(audioPath)
-      .outputOptions(['-c:v copy', '-c:a aac', '-shortest', '-y'])
+      .complexFilter([`[1:a]adelay=${delayMs}|${delayMs},apad[narr]`])
+      .outputOptions(['-map', '0:v', '-map', '[narr]', '-c:v copy', '-c:a aac', `-t ${duration}`, '-y'])
       .save(outPath)
       .on('end', () => {
         console.log(`[HELPER] [muxVideoWithNarration] Success: ${outPath}`);
@@ -258,22 +353,11 @@ const getVideoInfo = (filePath) => {
   });
 };
 
-// Pick music by mood (God-Tier Logging stub)
-const pickMusicForMood = (mood) => {
-  // Example logic: you would implement this
-  console.log(`[HELPER] [pickMusicForMood] Picking music for mood: ${mood}`);
-  return null; // Or path to your music file
-};
-
 // SAFE CLEANUP FUNCTION (GOD-TIER LOGGING)
 function cleanupJob(jobId) {
   try {
     console.log(`[CLEANUP] Starting cleanup for job: ${jobId}`);
-    if (progress[jobId]) {
-      delete progress[jobId];
-      console.log(`[CLEANUP] Progress entry deleted for job: ${jobId}`);
-    }
-    const jobDir = path.join(__dirname, 'renders', jobId);
+    const jobDir = path.join(RENDERS_DIR, jobId);
     if (fs.existsSync(jobDir)) {
       fsExtra.removeSync(jobDir);
       console.log(`[CLEANUP] Removed temp folder: ${jobDir}`);
@@ -307,28 +391,118 @@ app.get('/api/status', (req, res) => {
 app.get('/api/progress/:jobId', (req, res) => {
   const { jobId } = req.params;
   console.log(`[REQ] GET /api/progress/${jobId}`);
-  if (progress[jobId]) {
-    console.log(`[INFO] Returning progress for job ${jobId}:`, progress[jobId]);
-    res.json(progress[jobId]);
+  const job = getJob(jobId);
+  if (job) {
+    const out = toProgress(job);
+    console.log(`[INFO] Returning progress for job ${jobId}:`, out);
+    res.json(out);
   } else {
     console.warn(`[WARN] No progress found for job ${jobId}`);
     res.json({ percent: 100, status: 'Done (or not found)' });
   }
 });
 
+// Server-Sent Events: replays the job's stage events, then pushes every
+// progress change and pipeline stage until the job is done or failed.
+app.get('/api/progress/:jobId/stream', (req, res) => {
+  const { jobId } = req.params;
+  console.log(`[REQ] GET /api/progress/${jobId}/stream`);
+  const job = getJob(jobId);
+  if (!job) {
+    console.warn(`[WARN] No job found for stream ${jobId}`);
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const isFinished = j => j.status === 'done' || j.status === 'failed';
+
+  for (const ev of getJobEvents(jobId)) send('stage', ev);
+  send('progress', toProgress(job));
+  if (isFinished(job)) return res.end();
+
+  const onUpdate = (j) => {
+    if (j.id !== jobId) return;
+    send('progress', toProgress(j));
+    if (isFinished(j)) close();
+  };
+  const onEvent = (ev) => {
+    if (ev.jobId === jobId) send('stage', ev);
+  };
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  let closed = false;
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    jobEvents.off('update', onUpdate);
+    jobEvents.off('event', onEvent);
+    res.end();
+    console.log(`[SSE] Stream closed for job ${jobId}`);
+  }
+
+  jobEvents.on('update', onUpdate);
+  jobEvents.on('event', onEvent);
+  req.on('close', close);
+  console.log(`[SSE] Stream opened for job ${jobId}`);
+});
+
+// Subtitle sidecars for a finished job (written next to the served video)
+app.get('/api/jobs/:jobId/subtitles.:ext', (req, res) => {
+  const { jobId, ext } = req.params;
+  console.log(`[REQ] GET /api/jobs/${jobId}/subtitles.${ext}`);
+  const formatKey = String(ext).toLowerCase();
+  const format = Object.hasOwn(SUBTITLE_FORMATS, formatKey) ? SUBTITLE_FORMATS[formatKey] : null;
+  if (!format) return res.status(400).json({ error: 'Subtitle format must be srt or vtt' });
+
+  const job = getJob(jobId);
+  if (!job || !job.result || !job.result.subtitles || !job.result.subtitles[ext.toLowerCase()]) {
+    console.warn(`[SUBTITLES] No subtitles for job ${jobId}`);
+    return res.status(404).json({ error: 'Subtitles not found' });
+  }
+  const subPath = path.join(__dirname, 'public', 'video', `${job.id}.${ext.toLowerCase()}`);
+  if (!fs.existsSync(subPath)) {
+    console.warn(`[404] Subtitle file missing on disk: ${subPath}`);
+    return res.status(404).json({ error: 'Subtitles not found' });
+  }
+  res.setHeader('Content-Type', format.contentType);
+  res.setHeader('Content-Disposition', `inline; filename="${job.id}.${ext.toLowerCase()}"`);
+  res.sendFile(subPath);
+});
+
+// Admin endpoints require ADMIN_API_KEY in the x-admin-key header (disabled when unset)
+function requireAdmin(req, res, next) {
+  const key = process.env.ADMIN_API_KEY;
+  if (!key) {
+    console.warn(`[ADMIN] ${req.path} refused: ADMIN_API_KEY not configured`);
+    return res.status(503).json({ error: 'Admin API not configured' });
+  }
+  if (req.get('x-admin-key') !== key) {
+    console.warn(`[ADMIN] ${req.path} refused: bad or missing x-admin-key`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+app.get('/api/admin/media-cache', requireAdmin, (req, res) => {
+  console.log('[REQ] GET /api/admin/media-cache');
+  res.json(getMediaCacheStats());
+});
+
 /* ===========================================================
    SECTION 3: VOICES ENDPOINTS
    =========================================================== */
 
 console.log('[INFO] Registering /api/voices endpoint...');
 
-const voices = [
-  // ... (unchanged, use your voices array from before)
-  { id: "Matthew", name: "Matthew (US Male)", description: "Amazon Polly, Male, US English (Neural) - Free with AWS Free Tier", provider: "polly", tier: "Free", gender: "male", disabled: false },
-  // ... (all the others)
-  { id: "GL7nH05mDrxcH1JPJK5T", name: "Aimee (ASMR Gentle)", description: "ASMR Gentle Whisper", provider: "elevenlabs", tier: "ASMR", gender: "female", disabled: false }
-];
-const POLLY_VOICE_IDS = voices.filter(v => v.provider === "polly").map(v => v.id);
+// Voices are declared by each provider in tts-providers.cjs
+const voices = listVoices();
 
 app.get('/api/voices', (req, res) => {
   const now = new Date().toISOString();
@@ -339,10 +513,24 @@ app.get('/api/voices', (req, res) => {
     Pro: voices.filter(v => v.tier === 'Pro').length,
     ASMR: voices.filter(v => v.tier === 'ASMR').length
   };
-  console.log(`[INFO] Returning ${count} voices → Free: ${byTier.Free}, Pro: ${byTier.Pro}, ASMR: ${byTier.ASMR}`);
+  const google = voices.filter(v => v.provider === 'google').length;
+  console.log(`[INFO] Returning ${count} voices → Free: ${byTier.Free}, Pro: ${byTier.Pro}, ASMR: ${byTier.ASMR} (Google: ${google})`);
   res.json({ success: true, voices });
 });
 
+// Music library by mood folder (public/assets/music_library)
+app.get('/api/music', (req, res) => {
+  console.log('[REQ] GET /api/music');
+  try {
+    const moods = listMusicLibrary();
+    console.log(`[INFO] Returning ${moods.length} music moods`);
+    res.json({ success: true, moods });
+  } catch (err) {
+    console.error('[ERR] /api/music failed:', err);
+    res.status(500).json({ success: false, error: 'Could not read music library' });
+  }
+});
+
 /* ===========================================================
    SECTION 4: /api/generate-script ENDPOINT
    =========================================================== */
@@ -360,115 +548,65 @@ app.post('/api/generate-script', async (req, res) => {
     return res.status(400).json({ success: false, error: "Missing idea" });
   }
 
-  try {
-    const prompt = `
-You are a viral YouTube Shorts scriptwriter.
-
-Your job is to write an engaging, narratable script on the topic: "${idea}"
-
-== RULES ==
-- Line 1 must be a HOOK — surprising, dramatic, or funny — that makes the viewer stay.
-- Each line = one spoken scene (short, punchy, narratable).
-- Make each fact feel like a secret or hidden story.
-- DO NOT use camera directions (e.g., "Cut to", "Zoom in", "POV", "Flash").
-- DO NOT use hashtags, emojis, or quote marks.
-- Aim for 6 to 10 lines total. Narration-style only.
-
-== STYLE ==
-- Use vivid, conversational tone.
-- Add a twist or deeper explanation when possible.
-- Be clever or funny when appropriate.
-- End with a satisfying or mysterious final line.
-
-== METADATA ==
-At the end, return:
-Title: [a viral, clickable title — no quotes]
-Description: [1–2 sentence summary of what the video reveals]
-Tags: [Max 5 words, space-separated. No hashtags or commas.]
-
-== EXAMPLE SCRIPT ==
-They say history is written by the winners. But what did they hide?
-There's a chamber behind Lincoln’s head at Mount Rushmore — planned for documents, never finished.
-The Eiffel Tower hides a tiny private apartment — built by Gustave Eiffel for special guests only.
-The Great Wall of China has underground tunnels — built to sneak troops and supplies past enemies.
-Lady Liberty’s torch? Sealed off since 1916 after a German attack during WWI.
-One paw of the Sphinx may hide a sealed room — sensors detect a cavity, but Egypt won’t open it.
-Whispers say the Taj Mahal has secret floors — built for symmetry, now sealed tight.
-Title: Hidden Secrets They Don’t Teach in School
-Description: Real hidden rooms and strange facts about the world’s most famous landmarks.
-Tags: secrets landmarks mystery history viral
-    `.trim();
-
-    // === OpenAI v4+ call ===
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4-1106-preview",
-      temperature: 0.84,
-      max_tokens: 900,
-      messages: [
-        { role: "system", content: prompt }
-      ]
-    });
+  // Style, target duration and language (templates live in prompts/)
+  const { options: scriptOptions, errors: optionErrors } = resolveScriptOptions({
+    style: req.body.style,
+    duration: req.body.duration,
+    language: req.body.language
+  });
+  if (optionErrors.length) {
+    console.warn('[WARN] Invalid script options:', optionErrors);
+    return res.status(400).json({ success: false, error: optionErrors.join('; ') });
+  }
+  console.log(`[INPUT] style = ${scriptOptions.style} | duration = ${scriptOptions.duration || 'default'} | language = ${scriptOptions.language.code}`);
 
-    const raw = completion?.choices?.[0]?.message?.content?.trim() || '';
-    console.log('[GPT] Raw output:\n' + raw);
-
-    // === Parse Output ===
-    let scriptLines = [];
-    let title = '';
-    let description = '';
-    let tags = '';
-
-    const lines = raw.split('\n').map(l => l.trim()).filter(Boolean);
-    const titleIdx = lines.findIndex(l => /^title\s*:/i.test(l));
-    const descIdx  = lines.findIndex(l => /^description\s*:/i.test(l));
-    const tagsIdx  = lines.findIndex(l => /^tags?\s*:/i.test(l));
-
-    const metaStart = [titleIdx, descIdx, tagsIdx].filter(x => x > -1).sort((a,b) => a - b)[0] || lines.length;
-
-    scriptLines = lines.slice(0, metaStart).filter(l =>
-      !/^title\s*:/i.test(l) &&
-      !/^description\s*:/i.test(l) &&
-      !/^tags?\s*:/i.test(l)
-    );
-
-    // Strip out lines that are clearly not meant to be narrated
-    const cameraWords = ['cut to', 'zoom', 'pan', 'transition', 'fade', 'camera', 'pov', 'flash'];
-    scriptLines = scriptLines.filter(line => {
-      const lc = line.toLowerCase();
-      return !cameraWords.some(word => lc.startsWith(word) || lc.includes(`: ${word}`));
+  try {
+    const prompt = buildScriptPrompt(idea, scriptOptions);
+    const maxLines = maxScriptLines(scriptOptions);
+
+    // === Structured output: JSON schema, validated, one retry with the errors ===
+    const { result: parsed, errors } = await requestStructuredOutput(openai, {
+      model: SCRIPT_MODEL,
+      temperature: SCRIPT_TEMPERATURE,
+      maxTokens: Math.max(1200, maxLines * 110 + 300),
+      messages: [{ role: "system", content: prompt }],
+      schema: SCRIPT_SCHEMA,
+      validate: json => validateScriptOutput(json, { maxLines })
     });
 
-    if (scriptLines.length > 10) scriptLines = scriptLines.slice(0, 10);
-
-    for (const l of lines.slice(metaStart)) {
-      if (/^title\s*:/i.test(l)) title = l.replace(/^title\s*:/i, '').trim();
-      else if (/^description\s*:/i.test(l)) description = l.replace(/^description\s*:/i, '').trim();
-      else if (/^tags?\s*:/i.test(l)) tags = l.replace(/^tags?\s*:/i, '').trim();
+    if (!parsed) {
+      return res.status(502).json({ success: false, error: 'Script generation returned invalid output', details: errors });
     }
 
-    // === Metadata Fallbacks ===
-    if (!title) title = idea.length < 60 ? idea : idea.slice(0, 57) + "...";
-    if (!description) description = `This video explores: ${idea}`;
-    if (!tags) tags = idea
-      .toLowerCase()
-      .split(/\W+/)
-      .filter(w => w.length > 2)
-      .slice(0, 5)
-      .join(' ');
-
-    if (!scriptLines.length) scriptLines = ['Something went wrong generating the script.'];
-
-    console.log('[PARSED] script lines:', scriptLines.length, scriptLines);
+    const { scenes, script, title, description, tags } = parsed;
+    console.log('[PARSED] scenes:', scenes.length, scenes);
     console.log('[PARSED] title:', title);
     console.log('[PARSED] description:', description);
     console.log('[PARSED] tags:', tags);
 
+    // === Content safety (blocking) + optional fact flags (advisory) ===
+    const sceneTexts = scenes.map(sc => sc.text);
+    const [safety, factFlags] = await Promise.all([
+      checkContentSafety(openai, { lines: sceneTexts, title, description }),
+      req.body.factCheck ? flagClaims(openai, sceneTexts) : []
+    ]);
+    if (!safety.allowed) {
+      return res.status(422).json({ success: false, error: 'Generated script failed the content safety check', flagged: safety.flagged });
+    }
+
     res.json({
       success: true,
-      script: scriptLines.join('\n'),
+      script,
+      // Per-scene stock footage queries; send back as "sceneHints" to /api/generate-video
+      scenes: scenes.map(({ text, visual }) => ({ text, visualHints: visual })),
       title,
       description,
-      tags
+      tags,
+      platforms: buildPlatformVariants({ title, description, tags }),
+      style: scriptOptions.style,
+      language: scriptOptions.language.code,
+      voiceSuggestions: suggestVoices(voices, scriptOptions.language.code),
+      factFlags // [{ line, text, reason }] – possibly unverifiable claims, only with factCheck: true
     });
 
   } catch (err) {
@@ -477,6 +615,83 @@ Tags: secrets landmarks mystery history viral
   }
 });
 
+// --- Styles and languages the script generator accepts, with voices for each language ---
+app.get('/api/script-options', (req, res) => {
+  console.log('[REQ] GET /api/script-options');
+  try {
+    res.json({
+      success: true,
+      styles: listScriptStyles(),
+      languages: Object.entries(LANGUAGES).map(([code, name]) => ({ code, name, voices: suggestVoices(voices, code) }))
+    });
+  } catch (err) {
+    console.error('[ERR] Could not list script options:', err);
+    res.status(500).json({ success: false, error: 'Could not load script styles' });
+  }
+});
+
+// --- Rewrite one line in context: { script, line (1-based), instruction, language? } ---
+app.post('/api/script/rewrite-line', async (req, res) => {
+  console.log(`[REQ] POST /api/script/rewrite-line | line: ${req.body.line} | instruction: ${req.body.instruction}`);
+  const { lines, index, instruction, errors } = resolveRewriteRequest(req.body, { forRewrite: true });
+  const { options: scriptOptions, errors: optionErrors } = resolveScriptOptions({ language: req.body.language });
+  if (errors.length || optionErrors.length) {
+    console.warn('[WARN] Invalid rewrite request:', [...errors, ...optionErrors]);
+    return res.status(400).json({ success: false, error: [...errors, ...optionErrors].join('; ') });
+  }
+  try {
+    const { line, errors: outputErrors } = await rewriteLine(openai, lines, index, instruction, scriptOptions);
+    if (!line) {
+      return res.status(502).json({ success: false, error: 'Rewrite returned invalid output', details: outputErrors });
+    }
+    const updated = [...lines];
+    updated[index] = line;
+    res.json({ success: true, line: index + 1, original: lines[index], text: line, script: updated.join('\n') });
+  } catch (err) {
+    console.error('[ERR] Line rewrite failed:', err);
+    res.status(500).json({ success: false, error: 'Line rewrite failed' });
+  }
+});
+
+// --- Alternative hooks for line 1: { script, count?, language? } ---
+app.post('/api/script/hook-variants', async (req, res) => {
+  console.log(`[REQ] POST /api/script/hook-variants | count: ${req.body.count || 'default'}`);
+  const { lines, count, errors } = resolveRewriteRequest(req.body);
+  const { options: scriptOptions, errors: optionErrors } = resolveScriptOptions({ language: req.body.language });
+  if (errors.length || optionErrors.length) {
+    console.warn('[WARN] Invalid hook-variants request:', [...errors, ...optionErrors]);
+    return res.status(400).json({ success: false, error: [...errors, ...optionErrors].join('; ') });
+  }
+  try {
+    const { hooks, errors: outputErrors } = await generateHookVariants(openai, lines, count, scriptOptions);
+    if (!hooks) {
+      return res.status(502).json({ success: false, error: 'Hook generation returned invalid output', details: outputErrors });
+    }
+    res.json({ success: true, original: lines[0], hooks });
+  } catch (err) {
+    console.error('[ERR] Hook variants failed:', err);
+    res.status(500).json({ success: false, error: 'Hook generation failed' });
+  }
+});
+
+// --- Metadata for a user-supplied script: same fields as /api/generate-script, plus platform variants ---
+app.post('/api/generate-metadata', async (req, res) => {
+  const script = typeof req.body.script === 'string' ? req.body.script.trim() : '';
+  console.log(`[REQ] POST /api/generate-metadata | script length: ${script.length}`);
+  if (!script) {
+    console.warn('[WARN] Missing script in request body');
+    return res.status(400).json({ success: false, error: "Missing script" });
+  }
+  try {
+    const plain = script.split('\n').map(stripMarkup).filter(Boolean).join('\n');
+    const metadata = await generateMetadata(openai, plain, { title: req.body.title });
+    res.json({ success: true, ...metadata });
+  } catch (err) {
+    console.error('[FATAL] Metadata generation failed:', err);
+    res.status(500).json({ success: false, error: "Metadata generation failed" });
+  }
+});
+
 
 
 
@@ -490,235 +705,530 @@ Tags: secrets landmarks mystery history viral
 
 console.log('[INIT] Video generation endpoint initialized.');
 
-// --- PATCHED: Dummy extractVisualSubject so backend cannot crash ---
-async function extractVisualSubject(line, scriptTopic = '') {
-  console.log(`[EXTRACT] Dummy extractVisualSubject for: "${line}" | topic: "${scriptTopic}"`);
-  return line;
+// --- Single entry point for scene TTS ---
+// Dispatches through the provider registry; if the voice's provider fails,
+// the scene is re-voiced with an equivalent voice from the fallback chain.
+// Returns { provider, voiceId, characters, fallback, errors }.
+async function generateSceneAudio(sceneText, voiceId, outPath, options = {}) {
+  console.log(`[AUDIO] generateSceneAudio called: "${sceneText}" | voice: ${voiceId} | out: ${outPath}`);
+  if (!sceneText || !voiceId || !outPath) throw new Error("Missing input for generateSceneAudio");
+  return synthesizeWithFallback(sceneText, voiceId, outPath, options);
 }
 
-// --- Amazon Polly TTS ONLY (no Google TTS here) ---
-async function generatePollyTTS(text, voiceId, outPath) {
-  try {
-    console.log(`[POLLY] Synthesizing speech: "${text}" [voice: ${voiceId}] → ${outPath}`);
-    const polly = new AWS.Polly();
-    const params = {
-      OutputFormat: 'mp3',
-      Text: text,
-      VoiceId: voiceId,
-      Engine: 'neural'
-    };
-    const data = await polly.synthesizeSpeech(params).promise();
-    fs.writeFileSync(outPath, data.AudioStream);
-    console.log(`[POLLY] Audio written: ${outPath}`);
-  } catch (err) {
-    console.error(`[ERR][POLLY] TTS failed for voice ${voiceId} text: "${text}"`, err);
-    throw err;
+// ===================== MAIN ENDPOINT =====================
+
+// --- Scene media upload (multipart "file"): validated with ffprobe, stored in R2 ---
+app.post('/api/uploads', (req, res) => {
+  console.log('[REQ] POST /api/uploads');
+  uploadMiddleware(req, res, async (err) => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        console.warn('[UPLOADS] File too large');
+        return res.status(413).json({ success: false, error: `File too large (max ${UPLOAD_MAX_MB} MB)` });
+      }
+      console.warn('[UPLOADS] Upload rejected:', err.message);
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    if (!req.file) return res.status(400).json({ success: false, error: 'Missing file field' });
+
+    try {
+      const info = await getVideoInfo(req.file.path);
+      const v = (info.streams || []).find(s => s.codec_type === 'video');
+      const duration = info.format && Number(info.format.duration);
+      const isVideo = req.file.mimetype.startsWith('video/');
+      if (!v || !v.width || !v.height || (isVideo && !(duration > 0.3))) {
+        throw new Error('No usable video/image stream');
+      }
+      const media = await storeUpload(req.file, { width: v.width, height: v.height, duration }, s3Client);
+      console.log(`[UPLOADS] Stored upload ${media.id} (${media.kind}, ${media.width}x${media.height})`);
+      res.json({ success: true, media });
+    } catch (e) {
+      console.error('[ERR] Upload failed validation or storage:', e);
+      discardTempFile(req.file);
+      res.status(400).json({ success: false, error: `Invalid media: ${e.message}` });
+    }
+  });
+});
+
+app.get('/api/uploads/:id', async (req, res) => {
+  const media = await getUpload(req.params.id, s3Client);
+  if (!media) return res.status(404).json({ success: false, error: 'Upload not found' });
+  res.json({ success: true, media });
+});
+
+// sceneMedia: { "<scene number>": "<upload id>" } or an array aligned with the scenes (null = auto)
+function normalizeSceneMedia(sceneMedia) {
+  const out = {};
+  if (Array.isArray(sceneMedia)) {
+    sceneMedia.forEach((id, i) => { if (id) out[i] = id; });
+  } else if (sceneMedia && typeof sceneMedia === 'object') {
+    for (const [scene, id] of Object.entries(sceneMedia)) {
+      const n = parseInt(scene, 10);
+      if (n >= 1 && id) out[n - 1] = id;
+    }
   }
+  return out;
 }
 
-// --- ElevenLabs TTS stub (can be filled in later) ---
-async function generateElevenLabsTTS(text, voiceId, outPath) {
-  console.error('[ERR][11LABS] ElevenLabs TTS not implemented!');
-  throw new Error('ElevenLabs TTS not implemented');
+// sceneHints: the "scenes" array from /api/generate-script ([{ text, visualHints }]).
+// Matched to scenes by line text, so lines edited after generation fall back to query extraction.
+function sceneHintKey(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
 }
 
-// --- Single entry point for scene TTS (NO GOOGLE TTS) ---
-async function generateSceneAudio(sceneText, voiceId, outPath, provider) {
-  console.log(`[AUDIO] generateSceneAudio called: "${sceneText}" | voice: ${voiceId} | provider: ${provider} | out: ${outPath}`);
-  if (!provider) throw new Error("No TTS provider specified");
-  if (!sceneText || !voiceId || !outPath) throw new Error("Missing input for generateSceneAudio");
-  if (provider.toLowerCase() === 'polly') {
-    await generatePollyTTS(sceneText, voiceId, outPath);
-  } else if (provider.toLowerCase() === 'elevenlabs') {
-    await generateElevenLabsTTS(sceneText, voiceId, outPath);
-  } else {
-    throw new Error(`Unknown TTS provider: ${provider}`);
+function normalizeSceneHints(sceneHints) {
+  const out = new Map(); // line key → queries
+  if (!Array.isArray(sceneHints)) return out;
+  for (const hint of sceneHints) {
+    const key = sceneHintKey(hint && hint.text);
+    const queries = sanitizeQueries(hint && (hint.visualHints || hint.visual));
+    if (key && queries.length && !out.has(key)) out.set(key, queries);
   }
+  return out;
 }
 
-// ===================== MAIN ENDPOINT =====================
-
-app.post('/api/generate-video', (req, res) => {
-  console.log('[REQ] POST /api/generate-video');
-  const jobId = uuidv4();
-  progress[jobId] = { percent: 0, status: 'starting' };
-  console.log(`[INFO] New job started: ${jobId}`);
-  res.json({ jobId });
-
-  (async () => {
-    let finished = false;
-    const watchdog = setTimeout(() => {
-      if (!finished && progress[jobId]) {
-        progress[jobId] = { percent: 100, status: "Failed: Timed out." };
-        cleanupJob(jobId);
-        console.warn(`[WATCHDOG] Job ${jobId} timed out and was cleaned up`);
+app.post('/api/generate-video', async (req, res) => {
+  try {
+    console.log('[REQ] POST /api/generate-video');
+    const input = { ...(req.body || {}) };
+    // Upload metadata may have to come back from R2 (fresh container), so look every referenced id up once
+    const rawTimelineScenes = Array.isArray(input.timeline) ? input.timeline : (Array.isArray(input.timeline?.scenes) ? input.timeline.scenes : []);
+    const mediaIds = [...new Set([
+      ...Object.values(normalizeSceneMedia(input.sceneMedia)),
+      ...rawTimelineScenes.map(sc => sc && sc.mediaId).filter(id => typeof id === 'string')
+    ])];
+    const knownMedia = new Set();
+    await Promise.all(mediaIds.map(async id => { if (await getUpload(id, s3Client)) knownMedia.add(id); }));
+    const missing = Object.values(normalizeSceneMedia(input.sceneMedia)).filter(id => !knownMedia.has(id));
+    if (missing.length) {
+      console.warn('[WARN] Unknown sceneMedia ids:', missing);
+      return res.status(400).json({ error: `Unknown media id(s): ${missing.join(', ')}` });
+    }
+    // Optional timeline document: validated here so the job only ever sees the normalized shape
+    if (input.timeline !== undefined && input.timeline !== null) {
+      const { timeline, errors } = validateTimeline(input.timeline, {
+        isKnownVoice: id => !!getVoice(id),
+        isKnownMedia: id => knownMedia.has(id)
+      });
+      if (!errors.length && !input.voice && timeline.scenes.some(s => !s.voice)) {
+        errors.push('voice is required unless every scene sets its own voice');
       }
-    }, 12 * 60 * 1000);
+      if (errors.length) return res.status(400).json({ error: 'Invalid timeline', details: errors });
+      input.timeline = timeline;
+    } else if (!input.script) {
+      return res.status(400).json({ error: 'Missing script or timeline' });
+    }
+    if (input.transition && !resolveTransition(input.transition)) {
+      return res.status(400).json({ error: `Unknown transition: ${input.transition}` });
+    }
+    const { errors: formatErrors } = resolveOutputFormats(input.formats);
+    if (formatErrors.length) return res.status(400).json({ error: 'Invalid output formats', details: formatErrors });
+    // Script language (as picked for /api/generate-script); labels the subtitle track
+    if (input.language !== undefined && input.language !== null && input.language !== '') {
+      const { options: languageOptions, errors: languageErrors } = resolveScriptOptions({ language: input.language });
+      if (languageErrors.length) return res.status(400).json({ error: languageErrors[0] });
+      input.language = languageOptions.language.code;
+    }
+    // Screen the narration before any TTS / render time is spent
+    const narration = (input.timeline ? input.timeline.scenes : scriptToTimeline(String(input.script)).scenes).map(sc => sc.text);
+    // Advisory fact flags run alongside the safety check and are set before the job is queued,
+    // so even a job that finishes or fails quickly reports them (see /api/progress)
+    const [safety, factFlags] = await Promise.all([
+      checkContentSafety(openai, {
+        lines: narration,
+        title: input.title || input.metadata?.title,
+        description: input.metadata?.description
+      }),
+      input.factCheck
+        ? flagClaims(openai, narration).catch(err => {
+          console.error('[SAFETY] Fact-flag pass failed for /api/generate-video:', err);
+          return [];
+        })
+        : []
+    ]);
+    if (!safety.allowed) {
+      return res.status(422).json({ error: 'Script failed the content safety check', flagged: safety.flagged });
+    }
+    const job = createJob(input);
+    if (factFlags.length) updateJob(job.id, { factFlags });
+    enqueueJob(job.id);
+    console.log(`[INFO] New job queued: ${job.id}`);
+    res.json({ jobId: job.id, factFlags });
+  } catch (err) {
+    console.error('[ERR] /api/generate-video failed before queueing:', err);
+    res.status(500).json({ error: 'Could not start video generation' });
+  }
+});
 
-    try {
-      const {
-        script = '',
-        voice = '',
-        paidUser = false,
-        removeOutro = false,
-        title = '',
-        backgroundMusic = true,
-        musicMood = null
-      } = req.body || {};
-
-      console.log(`[STEP] Inputs parsed. Voice: ${voice} | Paid: ${paidUser} | Music: ${backgroundMusic} | Mood: ${musicMood} | Remove Outro: ${removeOutro}`);
-      console.log(`[DEBUG] Raw script:\n${script}`);
-
-      if (!script || !voice) {
-        progress[jobId] = { percent: 100, status: 'Failed: Missing script or voice.' };
-        cleanupJob(jobId); clearTimeout(watchdog);
-        return;
-      }
+// jobId → AbortController of a running job; the watchdog aborts it on timeout
+const jobAborts = new Map();
 
-      const selectedVoice = voices.find(v => v.id === voice);
-      const ttsProvider = selectedVoice ? selectedVoice.provider : null;
+// Record a pipeline stage on the job and push it to /api/progress/:jobId/stream.
+// Every stage reports, so this is also where an aborted job stops (throws the abort reason).
+function reportStage(jobId, stage, percent, message, data = {}) {
+  const abort = jobAborts.get(jobId);
+  if (abort) abort.signal.throwIfAborted();
+  updateJob(jobId, { stage, percent, message });
+  emitJobEvent(jobId, stage, { percent, message, ...data });
+}
 
-      if (!ttsProvider) {
-        progress[jobId] = { percent: 100, status: `Failed: Unknown voice (${voice})` };
-        cleanupJob(jobId); clearTimeout(watchdog);
-        return;
-      }
+// ===================== JOB WORKER =====================
+// Runs one queued job end to end; the job store calls this with at most
+// JOB_CONCURRENCY jobs in flight and resolves the slot when it returns.
+
+async function runVideoJob(job) {
+  const jobId = job.id;
+  console.log(`[INFO] Video job started: ${jobId}`);
+
+  let finished = false;
+  const abort = new AbortController();
+  jobAborts.set(jobId, abort);
+  const watchdog = setTimeout(() => {
+    if (!finished && getJob(jobId) && getJob(jobId).status === 'running') {
+      abort.abort(new Error(`Job ${jobId} timed out`));
+      failJob(jobId, "Failed: Timed out.");
+      // No cleanup here: the in-flight ffmpeg/TTS step still writes into the work dir.
+      // The pipeline cleans up once it stops at its next stage (catch block below).
+      console.warn(`[WATCHDOG] Job ${jobId} timed out; pipeline stops and cleans up at its next stage`);
+    }
+  }, 12 * 60 * 1000);
 
-      if (ttsProvider.toLowerCase() === 'polly' && !POLLY_VOICE_IDS.includes(voice)) {
-        progress[jobId] = { percent: 100, status: `Failed: Invalid Polly voice (${voice})` };
-        cleanupJob(jobId); clearTimeout(watchdog);
-        return;
-      }
+  try {
+    const {
+      script = '',
+      voice = '',
+      paidUser = false,
+      removeOutro = false,
+      title = '',
+      addMusic = true,
+      backgroundMusic = addMusic, // the frontend sends addMusic
+      musicMood = null,
+      voiceSettings = null,
+      ttsFallback = null,
+      lexicon = null,
+      captions = false,
+      targetLufs = null,
+      shareHookClip = true, // scenes 1 & 2 show the same clip (different segments)
+      kenBurnsPreset = 'auto', // still-image fallback: zoom-in, zoom-out, pan-left, pan-right, auto
+      sceneMedia = null, // per-scene uploaded media overrides
+      timeline = null, // structured scenes (see timeline-helper.cjs); replaces script when present
+      transition = 'cut', // default scene transition; timeline scenes can override their own
+      transitionDuration = null, // seconds, 0.2–1.0 (default 0.5)
+      formats: requestedFormats = null, // ["9:16", "16:9@720", { aspect, resolution }]; default 9:16 1080p
+      metadata = null, // { title, description, tags } from the client; generated when missing
+      sceneHints = null, // [{ text, visualHints }] from /api/generate-script; clip queries for matching lines
+      language = null // script language code ("es"); default English
+    } = job.input || {};
+    const sceneMediaIds = normalizeSceneMedia(sceneMedia);
+    const hintQueries = normalizeSceneHints(sceneHints);
+
+    console.log(`[STEP] Inputs parsed. Voice: ${voice} | Paid: ${paidUser} | Music: ${backgroundMusic} | Mood: ${musicMood} | Remove Outro: ${removeOutro}`);
+    console.log(timeline ? `[DEBUG] Timeline:\n${JSON.stringify(timeline, null, 2)}` : `[DEBUG] Raw script:\n${script}`);
+
+    // A plain script becomes a text-only timeline, so both inputs run the same pipeline
+    const sceneSpecs = timeline ? timeline.scenes : scriptToTimeline(script).scenes;
+    if (!sceneSpecs.length || sceneSpecs.some(s => !(s.voice || voice))) {
+      failJob(jobId, 'Failed: Missing script or voice.');
+      cleanupJob(jobId); clearTimeout(watchdog);
+      return;
+    }
 
-      const workDir = path.resolve(__dirname, 'renders', jobId);
-      fs.mkdirSync(workDir, { recursive: true });
-      console.log(`[STEP] Work dir created: ${workDir}`);
+    const unknownVoice = [voice, ...sceneSpecs.map(s => s.voice)].find(v => v && !getVoice(v));
+    if (unknownVoice) {
+      failJob(jobId, `Failed: Unknown voice (${unknownVoice})`);
+      cleanupJob(jobId); clearTimeout(watchdog);
+      return;
+    }
 
-      const scenes = splitScriptToScenes(script);
-      if (!scenes.length) {
-        progress[jobId] = { percent: 100, status: 'Failed: No scenes from script' };
-        cleanupJob(jobId); clearTimeout(watchdog);
-        return;
+    const captionStyle = resolveCaptionStyle(captions);
+    const defaultTransition = resolveTransition(transition) || 'cut';
+    const { formats } = resolveOutputFormats(requestedFormats);
+    if (!formats.length) {
+      failJob(jobId, 'Failed: Invalid output formats');
+      cleanupJob(jobId); clearTimeout(watchdog);
+      return;
+    }
+    if (captionStyle) console.log(`[STEP] Captions enabled, style: ${captionStyle.name}`);
+
+    // Per-job fallback chain: array of provider ids, or false to fail on the first error
+    const fallbackChain = ttsFallback === false ? [] : (Array.isArray(ttsFallback) ? ttsFallback : undefined);
+
+    const workDir = path.resolve(RENDERS_DIR, jobId);
+    fs.mkdirSync(workDir, { recursive: true });
+    console.log(`[STEP] Work dir created: ${workDir}`);
+
+    // Scene text is the display/search text; narration markup ([pause], *emphasis*, [characters:NASA]) is kept for TTS
+    // sceneMedia fills in uploads for scenes the timeline leaves on auto
+    const scenes = sceneSpecs.map((spec, idx) => ({
+      ...spec,
+      id: `scene${idx + 1}`,
+      markup: spec.text,
+      text: stripMarkup(spec.text),
+      mediaId: spec.mediaId || sceneMediaIds[idx] || null
+    }));
+    const scriptText = scenes.map(s => s.text).join('\n');
+    console.log(`[STEP] Script split into ${scenes.length} scenes.`);
+    console.log('[DEBUG] Scenes array:', JSON.stringify(scenes, null, 2));
+
+    // ---- Upload metadata: the client's when sent, else generated; shown as viralTitle/viralDesc/viralTags ----
+    let jobMetadata = null;
+    try {
+      if (metadata && metadata.title) {
+        const base = {
+          title: String(metadata.title),
+          description: String(metadata.description || ''),
+          tags: Array.isArray(metadata.tags) ? metadata.tags.join(' ') : String(metadata.tags || '')
+        };
+        jobMetadata = { ...base, platforms: buildPlatformVariants(base) };
+      } else {
+        jobMetadata = await generateMetadata(openai, scriptText, { title });
       }
-      console.log(`[STEP] Script split into ${scenes.length} scenes.`);
-      console.log('[DEBUG] Scenes array:', JSON.stringify(scenes, null, 2));
+      updateJob(jobId, { metadata: jobMetadata });
+      console.log(`[STEP] Metadata ready: "${jobMetadata.title}"`);
+    } catch (err) {
+      console.error('[ERR] Metadata generation failed, continuing without metadata', err);
+    }
 
-      let sceneFiles = [];
-      let line2Subject = scenes[1]?.text || '';
-      let mainTopic = title || '';
-      let sharedClipUrl = null;
+    const sceneFiles = Object.fromEntries(formats.map(f => [f.id, []])); // format id → scene files in order
+    let sceneClips = [];
+    let sceneTimings = []; // per-scene timing for subtitle sidecars
+    let ttsUsage = {}; // provider → characters
+    // Scenes share 0–65%; each scene advances through 6 steps (tts, clip, trim, normalize, silence, mux)
+    const scenePercent = (i, step) => Math.floor(((i + step / 6) / scenes.length) * 65);
+    let line2Subject = scenes[1]?.text || scenes[0].text;
+    let mainTopic = title || '';
+    let sharedClip = null; // scenes 1 & 2 share a clip, picked once scene 1's length is known
+    const usedClips = new Map(); // "source:id" → [{ start, end }] segments already shown
+    // Explicit clips/media on either hook scene override the shared hook clip
+    const shareHook = shareHookClip && !scenes.slice(0, 2).some(s => s.clipQuery || s.mediaId);
+
+    // ---- Ranked visual search queries per scene (timeline clipQuery, then script hints, else model with rule-based fallback) ----
+    const sceneHintQueries = scenes.map(s => hintQueries.get(sceneHintKey(s.text)) || null);
+    if (hintQueries.size) console.log(`[STEP] Script visual hints matched ${sceneHintQueries.filter(Boolean).length}/${scenes.length} scenes`);
+    const modelQueries = scenes.some((s, idx) => !s.clipQuery && !s.mediaId && !sceneHintQueries[idx])
+      ? await getVisualQueries(openai, scenes.map(s => s.text), mainTopic)
+      : [];
+    const visualQueries = scenes.map((s, idx) => s.clipQuery || sceneHintQueries[idx] || modelQueries[idx] || []);
+    // Scene 2 usually names the topic better than the hook, so it drives the shared clip
+    const sharedQueries = visualQueries[1] || visualQueries[0];
+
+    for (let i = 0; i < scenes.length; i++) {
+      abort.signal.throwIfAborted();
+      if (!scenes[i]) {
+        console.error(`[ERR] Scene at index ${i} is undefined!`);
+        failJob(jobId, `Failed: Scene ${i + 1} undefined`);
+        cleanupJob(jobId); clearTimeout(watchdog); return;
+      }
+      const { id: sceneId, text: sceneText, markup: sceneMarkup } = scenes[i];
+      const sceneVoice = scenes[i].voice || voice;
+      // Timeline captionStyle: false turns captions off for the scene, a preset name overrides the job style
+      const sceneCaptionStyle = scenes[i].captionStyle === false
+        ? null
+        : (scenes[i].captionStyle ? resolveCaptionStyle(scenes[i].captionStyle) : captionStyle);
+      const base = sceneId;
+      const audioPath = path.resolve(workDir, `${base}-audio.mp3`);
+      const rawVideoPath = path.resolve(workDir, `${base}-rawvideo.mp4`);
+      const trimmedVideoPath = path.resolve(workDir, `${base}-trimmed.mp4`);
+
+      reportStage(jobId, 'scene', scenePercent(i, 0), `Working on scene ${i + 1} of ${scenes.length}...`, {
+        scene: i + 1, totalScenes: scenes.length, text: sceneText
+      });
+      console.log(`[SCENE] Working on scene ${i + 1}/${scenes.length}: "${sceneText}"`);
 
-      // ---- Extract better main subject for scene 1/2 ----
-      let sharedSubject = await extractVisualSubject(line2Subject, mainTopic);
+      let tts;
       try {
-        sharedClipUrl = await findClipForScene(sharedSubject, 1, scenes.map(s => s.text), mainTopic);
-        console.log(`[SCENE 1&2] Selected shared clip for hook/scene2: ${sharedClipUrl}`);
+        console.log(`[AUDIO] Generating scene ${i + 1} audio…`);
+        tts = await generateSceneAudio(sceneMarkup, sceneVoice, audioPath, {
+          voiceSettings,
+          fallbackChain,
+          lexicon
+        });
+        if (!fs.existsSync(audioPath) || fs.statSync(audioPath).size < 1024) {
+          throw new Error(`Audio output missing or too small: ${audioPath}`);
+        }
+        ttsUsage[tts.provider] = (ttsUsage[tts.provider] || 0) + tts.characters;
+        console.log(`[AUDIO] Scene ${i + 1} audio created: ${audioPath}`);
+        reportStage(jobId, 'tts', scenePercent(i, 1), `Scene ${i + 1}: narration ready`, {
+          scene: i + 1, provider: tts.provider, voice: tts.voiceId, fallback: tts.fallback
+        });
       } catch (err) {
-        console.error(`[ERR] Could not select shared video clip for scenes 1 & 2`, err);
+        console.error(`[ERR] Audio generation failed for scene ${i + 1}`, err);
+        failJob(jobId, `Failed: Audio generation error (scene ${i + 1})`, err);
+        cleanupJob(jobId); clearTimeout(watchdog); return;
       }
 
-      for (let i = 0; i < scenes.length; i++) {
-        if (!scenes[i]) {
-          console.error(`[ERR] Scene at index ${i} is undefined!`);
-          progress[jobId] = { percent: 100, status: `Failed: Scene ${i + 1} undefined` };
-          cleanupJob(jobId); clearTimeout(watchdog); return;
-        }
-        const { id: sceneId, text: sceneText } = scenes[i];
-        const base = sceneId;
-        const audioPath = path.resolve(workDir, `${base}-audio.mp3`);
-        const rawVideoPath = path.resolve(workDir, `${base}-rawvideo.mp4`);
-        const trimmedVideoPath = path.resolve(workDir, `${base}-trimmed.mp4`);
-        const normalizedVideoPath = path.resolve(workDir, `${base}-norm.mp4`);
-        const videoWithSilence = path.resolve(workDir, `${base}-silence.mp4`);
-        const sceneMp4 = path.resolve(workDir, `${base}.mp4`);
-
-        progress[jobId] = {
-          percent: Math.floor((i / scenes.length) * 65),
-          status: `Working on scene ${i + 1} of ${scenes.length}...`
-        };
-        console.log(`[SCENE] Working on scene ${i + 1}/${scenes.length}: "${sceneText}"`);
+      let audioDuration;
+      try {
+        console.log(`[AUDIO] Getting audio duration for scene ${i + 1}…`);
+        audioDuration = await getAudioDuration(audioPath);
+        if (!audioDuration || audioDuration < 0.2) throw new Error("Audio duration zero or invalid.");
+        console.log(`[AUDIO] Duration for scene ${i + 1}: ${audioDuration}s`);
+      } catch (err) {
+        console.error(`[ERR] Could not get audio duration for scene ${i + 1}`, err);
+        failJob(jobId, `Failed: Audio duration error (scene ${i + 1})`, err);
+        cleanupJob(jobId); clearTimeout(watchdog); return;
+      }
+      const leadIn = 0.5, tail = 1.0;
+      // A timeline duration can lengthen the scene, never cut the narration short
+      const sceneDuration = Math.max(leadIn + audioDuration + tail, scenes[i].duration || 0);
+      if (scenes[i].duration && scenes[i].duration < sceneDuration) {
+        console.warn(`[SCENE] Scene ${i + 1} duration ${scenes[i].duration}s is shorter than its narration, using ${sceneDuration.toFixed(2)}s`);
+      }
 
+      // Clip search knows the scene length, so duration fit can be scored
+      let clip = null;
+      if (scenes[i].mediaId) {
         try {
-          console.log(`[AUDIO] Generating scene ${i + 1} audio…`);
-          await generateSceneAudio(sceneText, voice, audioPath, ttsProvider);
-          if (!fs.existsSync(audioPath) || fs.statSync(audioPath).size < 1024) {
-            throw new Error(`Audio output missing or too small: ${audioPath}`);
+          const media = await getUpload(scenes[i].mediaId, s3Client);
+          if (!media) throw new Error(`Upload ${scenes[i].mediaId} not found`);
+          const mediaPath = await resolveUploadFile(media, s3Client);
+          let url = mediaPath;
+          if (media.kind === 'image') {
+            url = path.resolve(workDir, `${base}-upload-kenburns.mp4`);
+            await makeKenBurnsVideoFromImage(mediaPath, url, sceneDuration, {
+              preset: kenBurnsPreset,
+              width: formats[0].width,
+              height: formats[0].height
+            });
           }
-          console.log(`[AUDIO] Scene ${i + 1} audio created: ${audioPath}`);
+          clip = { source: 'upload', id: media.id, url, duration: media.kind === 'image' ? sceneDuration : media.duration, score: null, breakdown: null };
+          console.log(`[UPLOADS] Scene ${i + 1} uses uploaded ${media.kind} ${media.id}`);
         } catch (err) {
-          console.error(`[ERR] Audio generation failed for scene ${i + 1}`, err);
-          progress[jobId] = { percent: 100, status: `Failed: Audio generation error (scene ${i + 1})` };
+          console.error(`[ERR] Uploaded media failed for scene ${i + 1}`, err);
+          failJob(jobId, `Failed: Uploaded media error (scene ${i + 1})`, err);
           cleanupJob(jobId); clearTimeout(watchdog); return;
         }
-
-        let clipUrl = null;
-        if (i === 0 || i === 1) {
-          clipUrl = sharedClipUrl;
-        } else {
+      } else if (shareHook && (i === 0 || i === 1)) {
+        if (!sharedClip) {
           try {
-            const sceneSubject = await extractVisualSubject(sceneText, mainTopic);
-            console.log(`[MATCH] Scene ${i + 1} subject: "${sceneSubject}"`);
-            clipUrl = await findClipForScene(sceneSubject, i, scenes.map(s => s.text), mainTopic);
+            sharedClip = await findClipForScene(line2Subject, 1, scenes.map(s => s.text), mainTopic, s3Client, {
+              workDir,
+              kenBurnsPreset,
+              frameWidth: formats[0].width,
+              frameHeight: formats[0].height,
+              sceneLine: line2Subject,
+              queries: sharedQueries,
+              targetDuration: sceneDuration,
+              excludeIds: [...usedClips.keys()]
+            });
+            console.log(`[SCENE 1&2] Selected shared clip for hook/scene2: ${sharedClip && sharedClip.url}`);
           } catch (err) {
-            console.error(`[ERR] Clip matching failed for scene ${i + 1}`, err);
+            console.error(`[ERR] Could not select shared video clip for scenes 1 & 2`, err);
           }
         }
+        clip = sharedClip;
+      } else {
+        try {
+          console.log(`[MATCH] Scene ${i + 1} queries: ${visualQueries[i].join(' | ')}`);
+          clip = await findClipForScene(sceneText, i, scenes.map(s => s.text), mainTopic, s3Client, {
+            workDir,
+            kenBurnsPreset,
+            frameWidth: formats[0].width,
+            frameHeight: formats[0].height,
+            sceneLine: sceneText,
+            queries: visualQueries[i],
+            targetDuration: sceneDuration,
+            excludeIds: [...usedClips.keys()]
+          });
+        } catch (err) {
+          console.error(`[ERR] Clip matching failed for scene ${i + 1}`, err);
+        }
+      }
 
-        if (!clipUrl) {
-          progress[jobId] = { percent: 100, status: `Failed: No video found for scene ${i + 1}` };
-          cleanupJob(jobId); clearTimeout(watchdog); return;
+      if (!clip || !clip.url) {
+        failJob(jobId, `Failed: No video found for scene ${i + 1}`);
+        cleanupJob(jobId); clearTimeout(watchdog); return;
+      }
+      const clipUrl = clip.url;
+      const clipKey = `${clip.source}:${clip.id}`;
+      const reused = usedClips.has(clipKey);
+      reportStage(jobId, 'clip', scenePercent(i, 2), `Scene ${i + 1}: clip chosen`, {
+        scene: i + 1, source: clip.source, url: clipUrl, score: clip.score, breakdown: clip.breakdown,
+        shared: shareHook && i < 2, reused
+      });
+
+      try {
+        console.log(`[VIDEO] Fetching video for scene ${i + 1}…`);
+        if (clip.source === 'kenburns' || clip.source === 'upload') fs.copyFileSync(clipUrl, rawVideoPath); // already local
+        else await fetchMediaToPath(clipUrl, rawVideoPath, { source: clip.source, id: clip.id });
+        if (!fs.existsSync(rawVideoPath) || fs.statSync(rawVideoPath).size < 10240) {
+          throw new Error(`Video output missing or too small: ${rawVideoPath}`);
         }
+        console.log(`[VIDEO] Downloaded for scene ${i + 1}: ${rawVideoPath}`);
+      } catch (err) {
+        console.error(`[ERR] Video download failed for scene ${i + 1}`, err);
+        failJob(jobId, `Failed: Video download error (scene ${i + 1})`, err);
+        cleanupJob(jobId); clearTimeout(watchdog); return;
+      }
 
+      // A reused clip starts where it hasn't been shown yet
+      let seek = 0;
+      if (reused) {
         try {
-          console.log(`[VIDEO] Downloading video for scene ${i + 1}…`);
-          await downloadRemoteFileToLocal(clipUrl, rawVideoPath);
-          if (!fs.existsSync(rawVideoPath) || fs.statSync(rawVideoPath).size < 10240) {
-            throw new Error(`Video output missing or too small: ${rawVideoPath}`);
-          }
-          console.log(`[VIDEO] Downloaded for scene ${i + 1}: ${rawVideoPath}`);
+          const clipDuration = clip.duration || await getAudioDuration(rawVideoPath);
+          seek = pickSeekOffset(clipDuration, sceneDuration, usedClips.get(clipKey));
         } catch (err) {
-          console.error(`[ERR] Video download failed for scene ${i + 1}`, err);
-          progress[jobId] = { percent: 100, status: `Failed: Video download error (scene ${i + 1})` };
-          cleanupJob(jobId); clearTimeout(watchdog); return;
+          console.warn(`[TRIM] Could not probe reused clip for scene ${i + 1}, starting at 0`, err);
         }
+      }
+      if (!usedClips.has(clipKey)) usedClips.set(clipKey, []);
+      usedClips.get(clipKey).push({ start: seek, end: seek + sceneDuration });
+      sceneClips.push({ scene: i + 1, source: clip.source, id: clip.id, score: clip.score, url: clipUrl, seek, reused });
 
-        let audioDuration;
-        try {
-          console.log(`[AUDIO] Getting audio duration for scene ${i + 1}…`);
-          audioDuration = await getAudioDuration(audioPath);
-          if (!audioDuration || audioDuration < 0.2) throw new Error("Audio duration zero or invalid.");
-          console.log(`[AUDIO] Duration for scene ${i + 1}: ${audioDuration}s`);
-        } catch (err) {
-          console.error(`[ERR] Could not get audio duration for scene ${i + 1}`, err);
-          progress[jobId] = { percent: 100, status: `Failed: Audio duration error (scene ${i + 1})` };
-          cleanupJob(jobId); clearTimeout(watchdog); return;
+      try {
+        console.log(`[TRIM] Trimming video for scene ${i + 1} to ${sceneDuration}s from ${seek.toFixed(2)}s…`);
+        await trimVideo(rawVideoPath, trimmedVideoPath, sceneDuration, seek);
+        if (!fs.existsSync(trimmedVideoPath) || fs.statSync(trimmedVideoPath).size < 10240) {
+          throw new Error(`Trimmed video missing or too small: ${trimmedVideoPath}`);
         }
-        const leadIn = 0.5, tail = 1.0;
-        const sceneDuration = leadIn + audioDuration + tail;
+        console.log(`[TRIM] Video trimmed for scene ${i + 1}: ${trimmedVideoPath} (${sceneDuration}s)`);
+        reportStage(jobId, 'trim', scenePercent(i, 3), `Scene ${i + 1}: clip trimmed`, {
+          scene: i + 1, duration: sceneDuration, audioDuration, seek
+        });
+      } catch (err) {
+        console.error(`[ERR] Trimming video failed for scene ${i + 1}`, err);
+        failJob(jobId, `Failed: Video trim error (scene ${i + 1})`, err);
+        cleanupJob(jobId); clearTimeout(watchdog); return;
+      }
 
+      // Word timings don't depend on the frame, so they're fetched once for every format
+      let words = null;
+      if (sceneCaptionStyle) {
         try {
-          console.log(`[TRIM] Trimming video for scene ${i + 1} to ${sceneDuration}s…`);
-          await trimVideo(rawVideoPath, trimmedVideoPath, sceneDuration, 0);
-          if (!fs.existsSync(trimmedVideoPath) || fs.statSync(trimmedVideoPath).size < 10240) {
-            throw new Error(`Trimmed video missing or too small: ${trimmedVideoPath}`);
+          // Provider speech marks when the voice supports them, else align against the audio
+          try {
+            words = await getWordTimings(sceneMarkup, tts.voiceId, { lexicon, duration: audioDuration });
+          } catch (err) {
+            console.warn(`[CAPTIONS] Speech marks failed for scene ${i + 1}, aligning from audio: ${err.message}`);
           }
-          console.log(`[TRIM] Video trimmed for scene ${i + 1}: ${trimmedVideoPath} (${sceneDuration}s)`);
+          if (!words || !words.length) words = await alignWordsToAudio(sceneText, audioPath, audioDuration);
         } catch (err) {
-          console.error(`[ERR] Trimming video failed for scene ${i + 1}`, err);
-          progress[jobId] = { percent: 100, status: `Failed: Video trim error (scene ${i + 1})` };
+          console.error(`[ERR] Caption timing failed (scene ${i + 1})`, err);
+          failJob(jobId, `Failed: Captions error (scene ${i + 1})`, err);
           cleanupJob(jobId); clearTimeout(watchdog); return;
         }
+      }
+
+      // Frame, voice and caption the scene once per output format
+      for (const format of formats) {
+        const tag = `${base}-${format.id}`;
+        const normalizedVideoPath = path.resolve(workDir, `${tag}-norm.mp4`);
+        const videoWithSilence = path.resolve(workDir, `${tag}-silence.mp4`);
+        const sceneMp4 = path.resolve(workDir, `${tag}.mp4`);
 
         try {
-          console.log(`[NORMALIZE] Normalizing video for scene ${i + 1} to 1080x1920 with blurred background…`);
-          await normalizeTo9x16Blurred(trimmedVideoPath, normalizedVideoPath, 1080, 1920);
+          console.log(`[NORMALIZE] Normalizing video for scene ${i + 1} to ${format.width}x${format.height} with blurred background…`);
+          await normalizeToFrameBlurred(trimmedVideoPath, normalizedVideoPath, format.width, format.height);
           if (!fs.existsSync(normalizedVideoPath) || fs.statSync(normalizedVideoPath).size < 10240) {
-            throw new Error(`Normalized 9:16 video missing or too small: ${normalizedVideoPath}`);
+            throw new Error(`Normalized ${format.aspect} video missing or too small: ${normalizedVideoPath}`);
           }
           console.log(`[NORMALIZE] Video normalized for scene ${i + 1}: ${normalizedVideoPath}`);
+          reportStage(jobId, 'normalize', scenePercent(i, 4), `Scene ${i + 1}: framed for ${format.aspect}`, {
+            scene: i + 1, format: format.id, width: format.width, height: format.height
+          });
         } catch (err) {
-          console.error(`[ERR] 9:16 normalization failed for scene ${i + 1}`, err);
-          progress[jobId] = { percent: 100, status: `Failed: 9:16 normalization error (scene ${i + 1})` };
+          console.error(`[ERR] ${format.aspect} normalization failed for scene ${i + 1}`, err);
+          failJob(jobId, `Failed: ${format.aspect} normalization error (scene ${i + 1})`, err);
           cleanupJob(jobId); clearTimeout(watchdog); return;
         }
 
@@ -730,29 +1240,92 @@ app.post('/api/generate-video', (req, res) => {
           console.log(`[AUDIOFIX] Silent audio added for scene ${i + 1}: ${videoWithSilence}`);
         } catch (err) {
           console.error(`[ERR] Could not add silent audio for scene ${i + 1}`, err);
-          progress[jobId] = { percent: 100, status: `Failed: Silent audio error (scene ${i + 1})` };
+          failJob(jobId, `Failed: Silent audio error (scene ${i + 1})`, err);
           cleanupJob(jobId); clearTimeout(watchdog); return;
         }
 
         try {
-          await muxVideoWithNarration(videoWithSilence, audioPath, sceneMp4, sceneDuration);
+          await muxVideoWithNarration(videoWithSilence, audioPath, sceneMp4, sceneDuration, leadIn);
           if (!fs.existsSync(sceneMp4) || fs.statSync(sceneMp4).size < 10240) {
             throw new Error(`Combined scene output missing or too small: ${sceneMp4}`);
           }
-          sceneFiles.push(sceneMp4);
-          console.log(`[COMBINE] Scene ${i + 1} ready for concat: ${sceneMp4}`);
+          console.log(`[COMBINE] Scene ${i + 1} muxed: ${sceneMp4}`);
+          reportStage(jobId, 'mux', scenePercent(i, sceneCaptionStyle ? 5 : 6), `Scene ${i + 1}: narration muxed`, {
+            scene: i + 1, format: format.id
+          });
         } catch (err) {
           console.error(`[ERR] Scene mux failed (scene ${i + 1})`, err);
-          progress[jobId] = { percent: 100, status: `Failed: Scene mux error (scene ${i + 1})` };
+          failJob(jobId, `Failed: Scene mux error (scene ${i + 1})`, err);
           cleanupJob(jobId); clearTimeout(watchdog); return;
         }
-        console.log(`[SCENE] Finished processing scene ${i + 1}/${scenes.length}.`);
+
+        let sceneOut = sceneMp4;
+        if (sceneCaptionStyle) {
+          const captionedMp4 = path.resolve(workDir, `${tag}-captioned.mp4`);
+          try {
+            const overlays = renderCaptionOverlays(words, sceneCaptionStyle, {
+              width: format.width,
+              height: format.height,
+              outDir: path.resolve(workDir, 'captions'),
+              offset: leadIn,
+              prefix: tag
+            });
+            await burnCaptions(sceneMp4, overlays, captionedMp4);
+            if (!fs.existsSync(captionedMp4) || fs.statSync(captionedMp4).size < 10240) {
+              throw new Error(`Captioned scene missing or too small: ${captionedMp4}`);
+            }
+            sceneOut = captionedMp4;
+            console.log(`[CAPTIONS] Scene ${i + 1} captioned: ${captionedMp4}`);
+            reportStage(jobId, 'captions', scenePercent(i, 6), `Scene ${i + 1}: captions added`, {
+              scene: i + 1, format: format.id, style: sceneCaptionStyle.name, words: words.length
+            });
+          } catch (err) {
+            console.error(`[ERR] Captions failed (scene ${i + 1})`, err);
+            failJob(jobId, `Failed: Captions error (scene ${i + 1})`, err);
+            cleanupJob(jobId); clearTimeout(watchdog); return;
+          }
+        }
+        sceneFiles[format.id].push(sceneOut);
+        console.log(`[COMBINE] Scene ${i + 1} (${format.id}) ready for concat: ${sceneOut}`);
       }
+      sceneTimings.push({ text: sceneText, duration: sceneDuration, leadIn, audioDuration });
+      console.log(`[SCENE] Finished processing scene ${i + 1}/${scenes.length}.`);
+    }
+
+    // transition INTO each scene (same for every format); all cuts → plain concat demuxer
+    const sceneTransitions = scenes.map((sc, idx) => (idx === 0 ? 'cut' : sc.transition || defaultTransition));
+    const useTransitions = sceneTransitions.some(t => t !== 'cut');
+
+    // Music is picked once so every format gets the same track (mood from request, else inferred from the script)
+    let musicTrack = null;
+    if (backgroundMusic) {
+      const mood = resolveMood(musicMood) || inferMood(`${title} ${scriptText}`);
+      musicTrack = mood ? pickMusicForMood(mood) : null;
+      console.log(`[MUSIC] Mood: ${mood} | Track: ${musicTrack ? musicTrack.name : '(none)'}`);
+    }
+
+    const outroPath = path.resolve(__dirname, 'public', 'assets', 'outro.mp4');
+    const outroExists = fs.existsSync(outroPath);
+    const doAddOutro = outroExists && !(paidUser && removeOutro);
+
+    // === Every output format: concat → music → outro → loudness → publish ===
+    // The first format is the primary video (<jobId>.mp4); the others are <jobId>-<format id>.mp4
+    const variants = [];
+    for (let f = 0; f < formats.length; f++) {
+      abort.signal.throwIfAborted();
+      const format = formats[f];
+      const files = sceneFiles[format.id];
+      const label = formats.length > 1 ? ` (${format.aspect} ${format.resolution}p)` : '';
+      // 65–95% is shared between the formats
+      const variantPercent = (p) => Math.floor(65 + (f * 30 + (p - 65)) / formats.length);
+      const variantDir = path.resolve(workDir, format.id);
+      fs.mkdirSync(variantDir, { recursive: true });
+      console.log(`[FORMAT] Rendering ${format.id} (${format.width}x${format.height}) in ${variantDir}`);
 
       // === BULLETPROOF: Validate and standardize all scenes before concat ===
       let refInfo = null;
       try {
-        refInfo = await getVideoInfo(sceneFiles[0]);
+        refInfo = await getVideoInfo(files[0]);
         const v = (refInfo.streams || []).find(s => s.codec_type === 'video');
         refInfo.width = v.width;
         refInfo.height = v.height;
@@ -761,13 +1334,15 @@ app.post('/api/generate-video', (req, res) => {
         console.log('[BULLETPROOF] Reference video info:', refInfo);
       } catch (err) {
         console.error('[ERR] Could not get reference video info:', err);
-        progress[jobId] = { percent: 100, status: 'Failed: Reference video info error' };
+        failJob(jobId, 'Failed: Reference video info error', err);
         cleanupJob(jobId); clearTimeout(watchdog); return;
       }
 
-      for (let i = 0; i < sceneFiles.length; i++) {
+      const sceneFileDurations = []; // probed lengths, for transition offsets
+      for (let i = 0; i < files.length; i++) {
         try {
-          const info = await getVideoInfo(sceneFiles[i]);
+          const info = await getVideoInfo(files[i]);
+          sceneFileDurations[i] = Number(info.format && info.format.duration) || sceneTimings[i].duration;
           const v = (info.streams || []).find(s => s.codec_type === 'video');
           const a = (info.streams || []).find(s => s.codec_type === 'audio');
           const needsFix =
@@ -778,47 +1353,57 @@ app.post('/api/generate-video', (req, res) => {
             v.pix_fmt !== refInfo.pix_fmt ||
             !a;
           if (needsFix) {
-            const fixedPath = sceneFiles[i].replace(/\.mp4$/, '-fixed.mp4');
-            await standardizeVideo(sceneFiles[i], fixedPath, refInfo);
-            fs.renameSync(fixedPath, sceneFiles[i]);
-            console.log(`[BULLETPROOF] Fixed scene ${i + 1} video: ${sceneFiles[i]}`);
+            const fixedPath = files[i].replace(/\.mp4$/, '-fixed.mp4');
+            await standardizeVideo(files[i], fixedPath, refInfo);
+            fs.renameSync(fixedPath, files[i]);
+            console.log(`[BULLETPROOF] Fixed scene ${i + 1} video: ${files[i]}`);
           } else {
             console.log(`[BULLETPROOF] Scene ${i + 1} validated OK`);
           }
         } catch (err) {
           console.error(`[ERR] Bulletproof check failed for scene ${i + 1}`, err);
-          progress[jobId] = { percent: 100, status: `Failed: Scene video validation error (${i + 1})` };
+          failJob(jobId, `Failed: Scene video validation error (${i + 1})`, err);
           cleanupJob(jobId); clearTimeout(watchdog); return;
         }
       }
 
-      const listFile = path.resolve(workDir, 'list.txt');
-      fs.writeFileSync(
-        listFile,
-        sceneFiles.map(f => `file '${f.replace(/'/g, "'\\''")}'`).join('\n')
-      );
-      const concatFile = path.resolve(workDir, 'concat.mp4');
+      const concatFile = path.resolve(variantDir, 'concat.mp4');
 
-      progress[jobId] = { percent: 75, status: "Combining all scenes together..." };
-      console.log(`[CONCAT] Scene list for concat:\n${sceneFiles.join('\n')}`);
+      reportStage(jobId, 'concat', variantPercent(75), `Combining all scenes together${label}...`, {
+        scenes: files.length, transitions: useTransitions ? sceneTransitions.slice(1) : null
+      });
+      console.log(`[CONCAT] Scene list for concat:\n${files.join('\n')}`);
 
       try {
-        await new Promise((resolve, reject) => {
-          ffmpeg()
-            .input(listFile)
-            .inputOptions(['-f concat', '-safe 0'])
-            .outputOptions(['-c:v libx264', '-c:a aac', '-movflags +faststart'])
-            .save(concatFile)
-            .on('end', resolve)
-            .on('error', reject);
-        });
+        if (useTransitions) {
+          const joined = await concatWithTransitions(files, sceneFileDurations, sceneTransitions, concatFile, {
+            transitionDuration: resolveTransitionDuration(transitionDuration)
+          });
+          // Later scenes start earlier by the overlap, so subtitle cues shift with them
+          joined.overlaps.forEach((overlap, idx) => { sceneTimings[idx].overlap = overlap; });
+        } else {
+          const listFile = path.resolve(variantDir, 'list.txt');
+          fs.writeFileSync(
+            listFile,
+            files.map(f => `file '${f.replace(/'/g, "'\\''")}'`).join('\n')
+          );
+          await new Promise((resolve, reject) => {
+            ffmpeg()
+              .input(listFile)
+              .inputOptions(['-f concat', '-safe 0'])
+              .outputOptions(['-c:v libx264', '-c:a aac', '-movflags +faststart'])
+              .save(concatFile)
+              .on('end', resolve)
+              .on('error', reject);
+          });
+        }
         if (!fs.existsSync(concatFile) || fs.statSync(concatFile).size < 10240) {
           throw new Error(`Concatenated file missing or too small: ${concatFile}`);
         }
         console.log(`[STITCH] All scenes concatenated: ${concatFile}`);
       } catch (err) {
         console.error(`[ERR] Concatenation failed`, err);
-        progress[jobId] = { percent: 100, status: 'Failed: Scene concatenation' };
+        failJob(jobId, 'Failed: Scene concatenation', err);
         cleanupJob(jobId); clearTimeout(watchdog); return;
       }
 
@@ -838,7 +1423,7 @@ app.post('/api/generate-video', (req, res) => {
         console.error('[ERR] Could not probe concat.mp4:', err);
       }
       if (!audioStreamExists) {
-        const concatWithAudioPath = path.resolve(workDir, 'concat-audio.mp4');
+        const concatWithAudioPath = path.resolve(variantDir, 'concat-audio.mp4');
         console.log('[AUDIOFIX] concat.mp4 is missing audio, adding silent track...');
         await new Promise((resolve, reject) => {
           ffmpeg()
@@ -859,51 +1444,52 @@ app.post('/api/generate-video', (req, res) => {
         console.log('[AUDIOFIX] Silent audio track added to concat.mp4');
       }
 
-      // === Optional: Add music (if enabled and file is found) ===
+      // === Optional: Add music (track picked once above) ===
       let concatWithMusicFile = concatInputFile;
       let musicUsed = false;
-      let selectedMusicPath = null;
-      if (backgroundMusic && musicMood) {
-        selectedMusicPath = pickMusicForMood(musicMood);
-        if (selectedMusicPath && fs.existsSync(selectedMusicPath)) {
-          const musicMixPath = path.resolve(workDir, 'concat-music.mp4');
-          console.log(`[MUSIC] Mixing music over: ${concatInputFile}`);
-          await new Promise((resolve, reject) => {
-            ffmpeg()
-              .input(concatInputFile)
-              .input(selectedMusicPath)
-              .complexFilter('[0:a][1:a]amix=inputs=2:duration=first:dropout_transition=2[mixa]')
-              .outputOptions(['-map', '0:v', '-map', '[mixa]', '-c:v', 'copy', '-c:a', 'aac', '-shortest', '-y'])
-              .save(musicMixPath)
-              .on('end', resolve)
-              .on('error', reject);
-          });
-          if (fs.existsSync(musicMixPath) && fs.statSync(musicMixPath).size > 10240) {
-            concatWithMusicFile = musicMixPath;
-            musicUsed = true;
-            console.log(`[MUSIC] Music mixed over concat, output: ${musicMixPath}`);
-          } else {
-            console.warn('[MUSIC] Music mix failed, continuing without music.');
+      if (backgroundMusic) {
+        reportStage(jobId, 'music', variantPercent(80), `Adding background music${label}...`, { mood: musicTrack ? musicTrack.mood : null });
+        if (musicTrack && fs.existsSync(musicTrack.path)) {
+          try {
+            const musicMixPath = path.resolve(variantDir, 'concat-music.mp4');
+            const musicBedPath = path.resolve(variantDir, 'music-bed.m4a');
+            console.log(`[MUSIC] Mixing music over: ${concatInputFile}`);
+            const mixDuration = await getAudioDuration(concatInputFile);
+            await fitMusicToDuration(musicTrack.path, mixDuration, musicBedPath);
+            await mixMusicUnderVoice(concatInputFile, musicBedPath, musicMixPath, { duration: mixDuration });
+            if (fs.existsSync(musicMixPath) && fs.statSync(musicMixPath).size > 10240) {
+              concatWithMusicFile = musicMixPath;
+              musicUsed = true;
+              console.log(`[MUSIC] Music mixed over concat, output: ${musicMixPath}`);
+            } else {
+              console.warn('[MUSIC] Music mix failed, continuing without music.');
+            }
+          } catch (err) {
+            console.error('[ERR] Music mix failed, continuing without music.', err);
           }
         } else {
-          console.warn(`[MUSIC] Music not found for mood: ${musicMood}`);
+          console.warn('[MUSIC] No music track available, continuing without music.');
         }
       }
 
       // === Outro logic ===
-      const finalPath = path.resolve(workDir, 'final.mp4');
-      const outroPath = path.resolve(__dirname, 'public', 'assets', 'outro.mp4');
-      const outroExists = fs.existsSync(outroPath);
-      let doAddOutro = outroExists && !(paidUser && removeOutro);
-
+      const finalPath = path.resolve(variantDir, 'final.mp4');
       let patchedOutroPath = outroPath;
       if (doAddOutro) {
+        reportStage(jobId, 'outro', variantPercent(85), `Adding outro${label}...`);
         let outroNeedsPatch = false;
         try {
           const probe = await getVideoInfo(outroPath);
           const v = (probe.streams || []).find(s => s.codec_type === 'video');
           const a = (probe.streams || []).find(s => s.codec_type === 'audio');
+          // The outro is authored 9:16; other frames get it letterboxed over a blurred fill first
+          if (v && Math.abs(v.width / v.height - refInfo.width / refInfo.height) > 0.01) {
+            const outroFramed = path.resolve(variantDir, 'outro-framed.mp4');
+            await normalizeToFrameBlurred(outroPath, outroFramed, refInfo.width, refInfo.height);
+            patchedOutroPath = outroFramed;
+          }
           outroNeedsPatch =
+            patchedOutroPath !== outroPath ||
             !v ||
             !a ||
             v.width !== refInfo.width ||
@@ -914,8 +1500,8 @@ app.post('/api/generate-video', (req, res) => {
           outroNeedsPatch = true;
         }
         if (outroNeedsPatch) {
-          const outroFixed = path.resolve(workDir, 'outro-fixed.mp4');
-          await standardizeVideo(outroPath, outroFixed, refInfo);
+          const outroFixed = path.resolve(variantDir, 'outro-fixed.mp4');
+          await standardizeVideo(patchedOutroPath, outroFixed, refInfo);
           patchedOutroPath = outroFixed;
           console.log('[OUTRO] Patched outro for concat');
         } else {
@@ -924,7 +1510,7 @@ app.post('/api/generate-video', (req, res) => {
       }
 
       if (doAddOutro) {
-        const list2 = path.resolve(workDir, 'list2.txt');
+        const list2 = path.resolve(variantDir, 'list2.txt');
         fs.writeFileSync(
           list2,
           [`file '${concatWithMusicFile.replace(/'/g, "'\\''")}'`, `file '${patchedOutroPath.replace(/'/g, "'\\''")}'`].join('\n')
@@ -949,15 +1535,35 @@ app.post('/api/generate-video', (req, res) => {
       }
       console.log(`[FINAL] Final video written: ${finalPath}`);
 
+      // === Loudness: normalize scenes + music + outro together, then verify ===
+      let loudness = null;
+      try {
+        const lufs = resolveTargetLufs(targetLufs);
+        reportStage(jobId, 'loudness', variantPercent(88), `Balancing audio levels${label}...`, { targetLufs: lufs });
+        const normalizedFinal = path.resolve(variantDir, 'final-loudnorm.mp4');
+        const norm = await normalizeLoudness(finalPath, normalizedFinal, { targetLufs: lufs });
+        if (!fs.existsSync(normalizedFinal) || fs.statSync(normalizedFinal).size < 10240) {
+          throw new Error(`Normalized output missing or too small: ${normalizedFinal}`);
+        }
+        fs.renameSync(normalizedFinal, finalPath);
+        const measured = await measureLoudness(finalPath);
+        loudness = { targetLufs: lufs, before: norm.input, after: measured };
+        console.log(`[LOUDNESS] Final mix at ${measured.integrated} LUFS (target ${lufs})`);
+      } catch (err) {
+        console.error('[ERR] Loudness normalization failed, keeping un-normalized mix', err);
+      }
+
       // === Copy to local public/video for browser access ===
+      const videoName = f === 0 ? `${jobId}.mp4` : `${jobId}-${format.id}.mp4`;
       fs.mkdirSync(path.resolve(__dirname, 'public', 'video'), { recursive: true });
-      const serveCopyPath = path.resolve(__dirname, 'public', 'video', `${jobId}.mp4`);
+      const serveCopyPath = path.resolve(__dirname, 'public', 'video', videoName);
       fs.copyFileSync(finalPath, serveCopyPath);
       console.log(`[LOCAL SERVE] Video copied to: ${serveCopyPath}`);
 
       // === Upload to R2 ===
+      reportStage(jobId, 'upload', variantPercent(92), `Uploading your video${label}...`, { format: format.id });
+      const s3Key = `videos/${videoName}`;
       try {
-        const s3Key = `videos/${jobId}.mp4`;
         const fileData = fs.readFileSync(finalPath);
         await s3Client.send(new PutObjectCommand({
           Bucket: process.env.R2_VIDEOS_BUCKET,
@@ -965,28 +1571,94 @@ app.post('/api/generate-video', (req, res) => {
           Body: fileData,
           ContentType: 'video/mp4'
         }));
-        console.log(`[UPLOAD] Uploaded final video to R2: ${s3Key}`);
+        console.log(`[UPLOAD] Uploaded ${format.id} video to R2: ${s3Key}`);
       } catch (err) {
-        console.error(`[ERR] R2 upload failed`, err);
+        console.error(`[ERR] R2 upload failed (${s3Key})`, err);
       }
 
-      progress[jobId] = {
-        percent: 100,
-        status: 'Done',
-        key: `${jobId}.mp4`
-      };
+      variants.push({
+        format: format.id,
+        aspect: format.aspect,
+        resolution: format.resolution,
+        width: format.width,
+        height: format.height,
+        key: videoName,
+        r2Key: s3Key,
+        url: `/video/${videoName}`,
+        musicUsed,
+        loudness
+      });
+    }
+    const primary = variants[0];
+    abort.signal.throwIfAborted();
 
-      finished = true;
-      clearTimeout(watchdog);
-      setTimeout(() => cleanupJob(jobId), 30 * 60 * 1000);
-      console.log(`[DONE] Video job ${jobId} finished and available at /video/${jobId}.mp4`);
+    // === Subtitle sidecars (.srt / .vtt) next to the video; timing is the same for every format ===
+    const subtitleFiles = {};
+    try {
+      const cues = buildSubtitleCues(sceneTimings);
+      const sidecars = { srt: toSrt(cues), vtt: toVtt(cues) };
+      for (const [ext, body] of Object.entries(sidecars)) {
+        const subPath = path.resolve(__dirname, 'public', 'video', `${jobId}.${ext}`);
+        fs.writeFileSync(subPath, body, 'utf8');
+        subtitleFiles[ext] = subPath;
+      }
+      console.log(`[SUBTITLES] Sidecars written: ${Object.values(subtitleFiles).join(', ')}`);
     } catch (err) {
-      console.error(`[CRASH] Fatal video generation error`, err);
-      progress[jobId] = { percent: 100, status: 'Failed: Crash' };
-      cleanupJob(jobId); clearTimeout(watchdog);
+      console.error('[ERR] Subtitle sidecar generation failed', err);
     }
-  })();
-});
+
+    const subtitles = {};
+    for (const [ext, subPath] of Object.entries(subtitleFiles)) {
+      const subKey = `videos/${jobId}.${ext}`;
+      try {
+        await s3Client.send(new PutObjectCommand({
+          Bucket: process.env.R2_VIDEOS_BUCKET,
+          Key: subKey,
+          Body: fs.readFileSync(subPath),
+          ContentType: SUBTITLE_FORMATS[ext].contentType
+        }));
+        console.log(`[UPLOAD] Uploaded subtitles to R2: ${subKey}`);
+      } catch (err) {
+        console.error(`[ERR] R2 subtitle upload failed (${subKey})`, err);
+      }
+      subtitles[ext] = { url: `/api/jobs/${jobId}/subtitles.${ext}`, r2Key: subKey };
+    }
+    if (Object.keys(subtitles).length) subtitles.language = resolveScriptOptions({ language }).options.language; // { code, name }
+
+    completeJob(jobId, {
+      key: primary.key,
+      r2Key: primary.r2Key,
+      variants,
+      clips: sceneClips,
+      musicUsed: primary.musicUsed,
+      music: primary.musicUsed ? { mood: musicTrack.mood, track: musicTrack.name, url: musicTrack.url } : null,
+      ttsUsage,
+      captions: captionStyle ? captionStyle.name : null,
+      transitions: useTransitions ? sceneTransitions.slice(1) : null,
+      metadata: jobMetadata,
+      loudness: primary.loudness,
+      subtitles
+    });
+
+    finished = true;
+    clearTimeout(watchdog);
+    setTimeout(() => cleanupJob(jobId), 30 * 60 * 1000);
+    console.log(`[DONE] Video job ${jobId} finished and available at /video/${jobId}.mp4`);
+  } catch (err) {
+    if (abort.signal.aborted) {
+      console.warn(`[WATCHDOG] Job ${jobId} stopped: ${err.message}`);
+      cleanupJob(jobId);
+      return;
+    }
+    console.error(`[CRASH] Fatal video generation error`, err);
+    failJob(jobId, 'Failed: Crash', err);
+    cleanupJob(jobId); clearTimeout(watchdog);
+  } finally {
+    jobAborts.delete(jobId);
+  }
+}
+
+startJobWorkers(runVideoJob);
 
 // END OF SECTION 5
 
@@ -1006,12 +1678,17 @@ app.post('/api/generate-video', (req, res) => {
 const { createCanvas, loadImage, registerFont } = require('canvas');
 const JSZip = require('jszip');
 
-const fontPath = path.join(__dirname, 'frontend', 'assets', 'fonts', 'LuckiestGuy-Regular.ttf');
+// Used by thumbnails and burned-in captions (captions-helper.cjs); without it both fall back to Arial
+const fontPath = path.join(__dirname, 'public', 'assets', 'fonts', 'LuckiestGuy-Regular.ttf');
 if (fs.existsSync(fontPath)) {
-  registerFont(fontPath, { family: 'LuckiestGuy' });
-  console.log('[FONT] Registered LuckiestGuy font:', fontPath);
+  try {
+    registerFont(fontPath, { family: 'LuckiestGuy' });
+    console.log('[FONT] Registered LuckiestGuy font:', fontPath);
+  } catch (err) {
+    console.warn('[FONT] LuckiestGuy registration failed, captions and thumbnails will use Arial:', err.message);
+  }
 } else {
-  console.warn('[FONT] LuckiestGuy font missing:', fontPath);
+  console.warn('[FONT] LuckiestGuy font missing, captions and thumbnails will use Arial:', fontPath);
 }
 
 // Utility: Generate one thumbnail as a buffer
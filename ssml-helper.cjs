@@ -0,0 +1,153 @@
+/* ===========================================================
+   SSML HELPER – SocialStormAI
+   -----------------------------------------------------------
+   - Lightweight narration markup in scripts:
+       [pause] / [pause 800ms] / [pause 1.5s]   → <break>
+       *word*  / **word**                       → <emphasis>
+       [characters:NASA] / [date:1916] ...      → <say-as>
+   - Per-job pronunciation lexicon:
+       { "Gustave Eiffel": "goo-stahv eye-fell" }        (alias)
+       { "Eiffel": { "ipa": "ˈaɪfəl", "alias": "eye-fell" } }
+   - renderNarration() emits SSML for providers that support it,
+     plain text (markup stripped, aliases applied) for the rest
+   =========================================================== */
+
+const SAY_AS_TYPES = ['characters', 'spell-out', 'cardinal', 'number', 'ordinal', 'digits', 'fraction', 'unit', 'date', 'time', 'telephone', 'address', 'expletive'];
+const DEFAULT_PAUSE_MS = 500;
+const MAX_PAUSE_MS = 10000;
+
+// Emphasis needs the word right next to its asterisks, so arithmetic like "2 * 3 * 4" stays text
+const MARKUP_RE = /\[pause(?:\s+([\d.]+)\s*(ms|s)?)?\]|\[([a-z-]+):([^\]]+)\]|\*\*([^*\s](?:[^*]*[^*\s])?)\*\*|\*([^*\s](?:[^*]*[^*\s])?)\*/gi;
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function escapeRegExp(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// --- Split a line into text / pause / say-as / emphasis tokens ---
+function tokenize(line) {
+  const tokens = [];
+  let last = 0;
+  let m;
+  MARKUP_RE.lastIndex = 0;
+  while ((m = MARKUP_RE.exec(line)) !== null) {
+    if (m.index > last) tokens.push({ type: 'text', value: line.slice(last, m.index) });
+    if (m[0].toLowerCase().startsWith('[pause')) {
+      let ms = DEFAULT_PAUSE_MS;
+      if (m[1]) ms = (m[2] || 's').toLowerCase() === 'ms' ? parseFloat(m[1]) : parseFloat(m[1]) * 1000;
+      tokens.push({ type: 'pause', ms: Math.min(MAX_PAUSE_MS, Math.max(0, Math.round(ms))) });
+    } else if (m[3]) {
+      const as = m[3].toLowerCase();
+      if (SAY_AS_TYPES.includes(as)) tokens.push({ type: 'sayas', as, value: m[4].trim() });
+      else tokens.push({ type: 'text', value: m[0] }); // unknown tag: speak it literally
+    } else if (m[5]) {
+      tokens.push({ type: 'emphasis', level: 'strong', value: m[5] });
+    } else if (m[6]) {
+      tokens.push({ type: 'emphasis', level: 'moderate', value: m[6] });
+    }
+    last = MARKUP_RE.lastIndex;
+  }
+  if (last < line.length) tokens.push({ type: 'text', value: line.slice(last) });
+  return tokens;
+}
+
+// --- Lexicon: normalize entries to { term, alias, ipa }, longest terms first ---
+function normalizeLexicon(lexicon) {
+  if (!lexicon || typeof lexicon !== 'object') return [];
+  return Object.entries(lexicon)
+    .map(([term, entry]) => {
+      if (typeof entry === 'string') return { term, alias: entry, ipa: null };
+      if (entry && typeof entry === 'object') return { term, alias: entry.alias || null, ipa: entry.ipa || null };
+      return null;
+    })
+    .filter(e => e && e.term.trim() && (e.alias || e.ipa))
+    .sort((a, b) => b.term.length - a.term.length);
+}
+
+// --- Apply lexicon to a plain text run (SSML: sub/phoneme tags; plain: alias text) ---
+function applyLexicon(text, entries, ssml) {
+  if (!entries.length) return ssml ? escapeXml(text) : text;
+  // Whole words in any script: \b only knows ASCII, so "Zoë" or "Æon" would never match
+  const re = new RegExp(`(?<![\\p{L}\\p{N}])(${entries.map(e => escapeRegExp(e.term)).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  let out = '';
+  let last = 0;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    const entry = entries.find(e => e.term.toLowerCase() === m[1].toLowerCase());
+    const before = text.slice(last, m.index);
+    out += ssml ? escapeXml(before) : before;
+    if (!ssml) {
+      out += entry.alias || m[1];
+    } else if (entry.ipa) {
+      out += `<phoneme alphabet="ipa" ph="${escapeXml(entry.ipa)}">${escapeXml(m[1])}</phoneme>`;
+    } else {
+      out += `<sub alias="${escapeXml(entry.alias)}">${escapeXml(m[1])}</sub>`;
+    }
+    last = re.lastIndex;
+  }
+  const rest = text.slice(last);
+  return out + (ssml ? escapeXml(rest) : rest);
+}
+
+// --- Display text: markup removed, original spelling kept (captions, clip search) ---
+function stripMarkup(line) {
+  return tokenize(String(line || ''))
+    .map(t => (t.type === 'pause' ? ' ' : t.value))
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function hasMarkup(line) {
+  MARKUP_RE.lastIndex = 0;
+  return MARKUP_RE.test(String(line || ''));
+}
+
+// --- MAIN: turn a marked-up line into what a provider should receive ---
+// options.ssml     – provider accepts SSML
+// options.emphasis – provider honours <emphasis> (Polly neural does not; uses prosody instead)
+// Returns { text, ssml } where ssml tells the provider how to send it.
+function renderNarration(line, { lexicon = null, ssml = false, emphasis = true } = {}) {
+  const entries = normalizeLexicon(lexicon);
+  const tokens = tokenize(String(line || ''));
+  // Nothing to mark up: send plain text even to SSML-capable providers
+  if (ssml && !entries.length && tokens.every(t => t.type === 'text')) ssml = false;
+  if (!ssml) {
+    const text = tokens.map(t => {
+      if (t.type === 'pause') return t.ms >= 300 ? ' … ' : ' ';
+      return applyLexicon(t.value, entries, false);
+    }).join('').replace(/\s+/g, ' ').trim();
+    return { text, ssml: false };
+  }
+
+  const body = tokens.map(t => {
+    switch (t.type) {
+      case 'pause':
+        return `<break time="${t.ms}ms"/>`;
+      case 'sayas':
+        return `<say-as interpret-as="${t.as}">${escapeXml(t.value)}</say-as>`;
+      case 'emphasis':
+        return emphasis
+          ? `<emphasis level="${t.level}">${applyLexicon(t.value, entries, true)}</emphasis>`
+          : `<prosody volume="${t.level === 'strong' ? 'x-loud' : 'loud'}">${applyLexicon(t.value, entries, true)}</prosody>`;
+      default:
+        return applyLexicon(t.value, entries, true);
+    }
+  }).join('').trim();
+  return { text: `<speak>${body}</speak>`, ssml: true };
+}
+
+module.exports = {
+  renderNarration,
+  stripMarkup,
+  hasMarkup,
+  escapeXml
+};
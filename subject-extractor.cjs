@@ -0,0 +1,117 @@
+/* ===========================================================
+   SUBJECT EXTRACTOR – SocialStormAI
+   -----------------------------------------------------------
+   - Asks OpenAI for 2–3 ranked stock-footage search queries per
+     scene, with the whole script as context (one call per script)
+   - Results cached per script (hash of lines + title)
+   - Falls back to the rule-based extractVisualSubject in
+     pexels-helper.cjs for any scene the model can't answer
+   - **MAXIMUM LOGGING IN EVERY FUNCTION**
+   =========================================================== */
+
+const crypto = require('crypto');
+const { extractVisualSubject } = require('./pexels-helper.cjs');
+const { lruSet } = require('./lru-cache.cjs');
+
+const SUBJECT_MODEL = process.env.SUBJECT_MODEL || 'gpt-4o-mini';
+const MAX_QUERIES = 3;
+const MAX_QUERY_LENGTH = 60;
+const CACHE_LIMIT = 200;
+
+const queryCache = new Map(); // script hash → [[query, ...], ...] (insertion order = LRU)
+
+function scriptHash(lines, title) {
+  return crypto.createHash('sha1').update(JSON.stringify({ lines, title: title || '' })).digest('hex');
+}
+
+function buildPrompt(lines, title) {
+  return `
+You pick stock-footage search queries for a narrated vertical short video.
+
+For EACH numbered scene, return 2 or 3 search queries, best first, that would find a
+matching video clip on Pexels / Pixabay.
+
+== RULES ==
+- Describe what should be ON SCREEN: concrete, filmable subjects (objects, places, animals, actions).
+- Use the canonical name of landmarks, people and things (e.g. "Lady Liberty's torch" → "statue of liberty torch").
+- Use the whole script for context: resolve pronouns and vague lines to the topic.
+- 2–5 words per query, lowercase, no punctuation, no hashtags.
+- Never return abstract words alone ("secret", "history", "fact").
+
+== OUTPUT ==
+JSON only: {"scenes":[{"scene":1,"queries":["...","..."]}, ...]} with one entry per scene.
+
+Title: ${title || '(none)'}
+Script:
+${lines.map((l, i) => `${i + 1}. ${l}`).join('\n')}
+  `.trim();
+}
+
+// --- Keep clean, short, distinct queries ---
+function sanitizeQueries(queries) {
+  if (!Array.isArray(queries)) return [];
+  const seen = new Set();
+  const out = [];
+  for (const q of queries) {
+    if (typeof q !== 'string') continue;
+    const clean = q.toLowerCase().replace(/[^a-z0-9'\s-]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, MAX_QUERY_LENGTH);
+    if (!clean || seen.has(clean)) continue;
+    seen.add(clean);
+    out.push(clean);
+    if (out.length >= MAX_QUERIES) break;
+  }
+  return out;
+}
+
+// --- MAIN: ranked queries for every scene → [[q1, q2, q3], ...] aligned with `lines` ---
+// Never throws: scenes without model output get the rule-based subject.
+async function getVisualQueries(openai, lines, title = '') {
+  const key = scriptHash(lines, title);
+  if (queryCache.has(key)) {
+    console.log(`[SUBJECT] Cache hit for script ${key.slice(0, 8)}`);
+    const cached = queryCache.get(key);
+    lruSet(queryCache, key, cached, CACHE_LIMIT);
+    return cached;
+  }
+
+  let fromModel = [];
+  try {
+    if (!openai) throw new Error('OpenAI client not available');
+    console.log(`[SUBJECT] Asking ${SUBJECT_MODEL} for visual queries (${lines.length} scenes)`);
+    const completion = await openai.chat.completions.create({
+      model: SUBJECT_MODEL,
+      temperature: 0.2,
+      max_tokens: 60 * lines.length + 100,
+      response_format: { type: 'json_object' },
+      messages: [{ role: 'system', content: buildPrompt(lines, title) }]
+    });
+    const raw = completion?.choices?.[0]?.message?.content || '';
+    console.log('[SUBJECT] Raw output:', raw);
+    const parsed = JSON.parse(raw);
+    const scenes = Array.isArray(parsed.scenes) ? parsed.scenes : [];
+    fromModel = lines.map((_, i) => {
+      const entry = scenes.find(s => Number(s.scene) === i + 1) || scenes[i];
+      return sanitizeQueries(entry && entry.queries);
+    });
+  } catch (err) {
+    console.error('[SUBJECT] Model query extraction failed, using rule-based subjects:', err.message);
+  }
+
+  const result = lines.map((line, i) => {
+    const queries = fromModel[i] || [];
+    if (queries.length) return queries;
+    const fallback = extractVisualSubject(line, title);
+    console.log(`[SUBJECT] Scene ${i + 1}: rule-based fallback "${fallback}"`);
+    return [fallback];
+  });
+  result.forEach((q, i) => console.log(`[SUBJECT] Scene ${i + 1} queries: ${q.map(x => `"${x}"`).join(', ')}`));
+
+  // Only cache a complete model answer, so a transient API failure is retried next time
+  if (fromModel.length && fromModel.every(q => q.length)) lruSet(queryCache, key, result, CACHE_LIMIT);
+  return result;
+}
+
+module.exports = {
+  sanitizeQueries,
+  getVisualQueries
+};
@@ -0,0 +1,109 @@
+/* ===========================================================
+   SUBTITLES HELPER – SocialStormAI
+   -----------------------------------------------------------
+   - Builds SRT / WebVTT sidecar files from per-scene timings
+     (scene duration = lead-in + narration + tail, as in the
+     scene loop of /api/generate-video)
+   - Long scenes are split into readable cues (2 lines max),
+     timed across the narration by character count
+   - **MAXIMUM LOGGING IN EVERY FUNCTION**
+   =========================================================== */
+
+const SUBTITLE_FORMATS = {
+  srt: { contentType: 'application/x-subrip; charset=utf-8' },
+  vtt: { contentType: 'text/vtt; charset=utf-8' }
+};
+const MAX_LINE_CHARS = 42;
+const MAX_CUE_CHARS = MAX_LINE_CHARS * 2;
+
+// --- Break scene text into cue-sized pieces, preferring sentence/clause boundaries ---
+function splitCueText(text, maxChars = MAX_CUE_CHARS) {
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  const pieces = [];
+  let current = [];
+  let length = 0;
+  for (const word of words) {
+    if (current.length && length + 1 + word.length > maxChars) {
+      pieces.push(current.join(' '));
+      current = [];
+      length = 0;
+    }
+    current.push(word);
+    length += (length ? 1 : 0) + word.length;
+    // Close the cue at the end of a sentence once it has some substance
+    if (/[.!?]$/.test(word) && length >= maxChars / 3) {
+      pieces.push(current.join(' '));
+      current = [];
+      length = 0;
+    }
+  }
+  if (current.length) pieces.push(current.join(' '));
+  return pieces;
+}
+
+// --- Wrap a cue onto at most two balanced lines ---
+function wrapCueText(text, maxLine = MAX_LINE_CHARS) {
+  if (text.length <= maxLine) return text;
+  const words = text.split(' ');
+  let best = null;
+  for (let i = 1; i < words.length; i++) {
+    const a = words.slice(0, i).join(' ');
+    const b = words.slice(i).join(' ');
+    const score = Math.max(a.length, b.length);
+    if (!best || score < best.score) best = { score, text: `${a}\n${b}` };
+  }
+  return best ? best.text : text;
+}
+
+// --- MAIN: scene timings → cues [{ index, start, end, text }] ---
+// scenes: [{ text, duration, leadIn, audioDuration, overlap }] in playback order;
+// overlap = seconds a scene starts before the previous one ends (transitions).
+function buildSubtitleCues(scenes) {
+  const cues = [];
+  let sceneStart = 0;
+  for (const scene of scenes) {
+    sceneStart -= scene.overlap || 0;
+    const speechStart = sceneStart + (scene.leadIn || 0);
+    const pieces = splitCueText(scene.text);
+    const totalChars = pieces.reduce((sum, p) => sum + p.length, 0) || 1;
+    let t = speechStart;
+    for (const piece of pieces) {
+      const span = scene.audioDuration * (piece.length / totalChars);
+      cues.push({ index: cues.length + 1, start: t, end: t + span, text: wrapCueText(piece) });
+      t += span;
+    }
+    sceneStart += scene.duration;
+  }
+  console.log(`[SUBTITLES] Built ${cues.length} cues from ${scenes.length} scenes (${sceneStart.toFixed(2)}s)`);
+  return cues;
+}
+
+// --- Timestamp: 00:00:01,500 (SRT) / 00:00:01.500 (VTT) ---
+function formatTimestamp(seconds, separator) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+function toSrt(cues) {
+  return cues
+    .map(c => `${c.index}\n${formatTimestamp(c.start, ',')} --> ${formatTimestamp(c.end, ',')}\n${c.text}\n`)
+    .join('\n');
+}
+
+function toVtt(cues) {
+  const body = cues
+    .map(c => `${c.index}\n${formatTimestamp(c.start, '.')} --> ${formatTimestamp(c.end, '.')}\n${c.text}\n`)
+    .join('\n');
+  return `WEBVTT\n\n${body}`;
+}
+
+module.exports = {
+  SUBTITLE_FORMATS,
+  buildSubtitleCues,
+  toSrt,
+  toVtt
+};
@@ -0,0 +1,97 @@
+/* ===========================================================
+   AUDIO MIX TESTS – SocialStormAI
+   -----------------------------------------------------------
+   - Generates a short fixture with ffmpeg (tone "narration" that
+     talks for 1s / pauses for 1s, over a color video) and a low
+     music tone
+   - Ducked mix + two-pass loudnorm must land within ±1 LU of the
+     target, measured with ebur128 (measureLoudness)
+   - Music must be quieter while the narration is speaking
+   - Skipped when no ffmpeg binary is available (FFMPEG_PATH or
+     ffmpeg-static)
+   =========================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { mixMusicUnderVoice, normalizeLoudness, measureLoudness } = require('../audio-mix-helper.cjs');
+
+const ffmpegPath = process.env.FFMPEG_PATH || require('ffmpeg-static');
+const hasFfmpeg = !!ffmpegPath && fs.existsSync(ffmpegPath);
+if (hasFfmpeg) ffmpeg.setFfmpegPath(ffmpegPath);
+
+const DURATION = 10;
+const VOICE_HZ = 1000;
+const MUSIC_HZ = 60;
+
+function run(cmd) {
+  return new Promise((resolve, reject) => {
+    let stderr = '';
+    cmd
+      .on('stderr', line => { stderr += line + '\n'; })
+      .on('end', () => resolve(stderr))
+      .on('error', reject)
+      .run();
+  });
+}
+
+// Voice on for t in [0,1), [2,3), ... ; silent in between
+function makeVoiceVideo(outPath) {
+  return run(ffmpeg()
+    .input(`color=c=black:s=320x568:r=30:d=${DURATION}`).inputFormat('lavfi')
+    .input(`aevalsrc=0.5*sin(2*PI*${VOICE_HZ}*t)*lt(mod(t\\,2)\\,1):s=44100:d=${DURATION}`).inputFormat('lavfi')
+    .outputOptions(['-c:v', 'libx264', '-preset', 'ultrafast', '-pix_fmt', 'yuv420p', '-c:a', 'aac', '-ac', '2', '-shortest', '-y'])
+    .output(outPath));
+}
+
+function makeMusic(outPath) {
+  return run(ffmpeg()
+    .input(`sine=frequency=${MUSIC_HZ}:sample_rate=44100:duration=${DURATION}`).inputFormat('lavfi')
+    .outputOptions(['-af', 'volume=0.9', '-ac', '2', '-y'])
+    .output(outPath));
+}
+
+// Mean level (dB) of the music band in a window of the mixed file
+async function musicLevel(filePath, start, length) {
+  const stderr = await run(ffmpeg(filePath)
+    .setStartTime(start)
+    .duration(length)
+    .audioFilters([`bandpass=f=${MUSIC_HZ}:width_type=q:w=4`, `bandpass=f=${MUSIC_HZ}:width_type=q:w=4`, 'volumedetect'])
+    .outputOptions(['-vn'])
+    .format('null')
+    .output('-'));
+  const m = stderr.match(/mean_volume:\s*(-?[\d.]+|-inf) dB/);
+  return m ? parseFloat(m[1]) : -Infinity;
+}
+
+test('ducked mix is normalized to the loudness target and ducks music under voice', { skip: !hasFfmpeg && 'ffmpeg not available', timeout: 180000 }, async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audiomix-'));
+  try {
+    const voicePath = path.join(dir, 'voice.mp4');
+    const musicPath = path.join(dir, 'music.wav');
+    const mixedPath = path.join(dir, 'mixed.mp4');
+    const finalPath = path.join(dir, 'final.mp4');
+    await makeVoiceVideo(voicePath);
+    await makeMusic(musicPath);
+
+    await mixMusicUnderVoice(voicePath, musicPath, mixedPath, { duration: DURATION });
+
+    // Voice speaks 4–5s, pauses 5–6s; both windows are clear of the fades and the compressor release
+    const underVoice = await musicLevel(mixedPath, 4.3, 0.6);
+    const inPause = await musicLevel(mixedPath, 5.5, 0.45);
+    console.log(`[TEST] Music band: ${underVoice} dB under voice, ${inPause} dB in pause`);
+    assert.ok(inPause - underVoice >= 6, `music should duck ≥ 6 dB under voice (pause ${inPause} dB, voice ${underVoice} dB)`);
+
+    for (const target of [-14, -18]) {
+      await normalizeLoudness(mixedPath, finalPath, { targetLufs: target });
+      const { integrated } = await measureLoudness(finalPath);
+      assert.ok(Number.isFinite(integrated), 'ebur128 should report an integrated loudness');
+      assert.ok(Math.abs(integrated - target) <= 1, `integrated ${integrated} LUFS should be within ±1 LU of ${target}`);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,115 @@
+/* ===========================================================
+   CONTENT SAFETY TESTS – SocialStormAI
+   -----------------------------------------------------------
+   - Blocked terms from a file (BLOCKED_TERMS_FILE) and from
+     BLOCKED_TERMS: whole words / phrases, any case, any script
+   - Hits are reported per line (1-based), title and description
+   - Moderation results merge with term hits; a failing
+     moderation API falls back to blocked terms only
+   =========================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'safety-'));
+process.env.BLOCKED_TERMS_FILE = path.join(dir, 'blocked-terms.txt');
+fs.writeFileSync(process.env.BLOCKED_TERMS_FILE, '# comment lines are ignored\nbadword\nbuy followers\nçöp\n\n');
+process.env.BLOCKED_TERMS = ' EnvTerm , ,c++ ';
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const { checkContentSafety } = require('../content-safety.cjs');
+
+// Fake OpenAI client: flags any input containing one of `flagWords`
+function fakeOpenAI(flagWords = [], { fail = false } = {}) {
+  const calls = [];
+  return {
+    calls,
+    moderations: {
+      create: async ({ input }) => {
+        calls.push(input);
+        if (fail) throw new Error('moderation down');
+        return {
+          results: input.map(text => {
+            const hit = flagWords.some(w => text.includes(w));
+            return { flagged: hit, categories: { violence: hit, harassment: false } };
+          })
+        };
+      }
+    }
+  };
+}
+
+test('blocked terms are reported per line with 1-based line numbers', async () => {
+  const result = await checkContentSafety(null, {
+    lines: ['A clean opening line.', 'Never say BADWORD here.', 'Also clean.', 'Want to Buy   Followers cheap?']
+  });
+  assert.strictEqual(result.allowed, false);
+  assert.strictEqual(result.moderation, 'unavailable');
+  assert.deepStrictEqual(result.flagged, [
+    { field: 'line', line: 2, text: 'Never say BADWORD here.', terms: ['badword'], categories: [] },
+    { field: 'line', line: 4, text: 'Want to Buy Followers cheap?', terms: ['buy followers'], categories: [] }
+  ]);
+});
+
+test('title and description are checked as their own fields', async () => {
+  const result = await checkContentSafety(null, {
+    lines: ['Nothing to see.'],
+    title: '  envterm in the title ',
+    description: 'Learn c++ today'
+  });
+  assert.deepStrictEqual(result.flagged, [
+    { field: 'title', text: 'envterm in the title', terms: ['envterm'], categories: [] },
+    { field: 'description', text: 'Learn c++ today', terms: ['c++'], categories: [] }
+  ]);
+});
+
+test('terms match whole words only, including non-ASCII words', async () => {
+  const clean = await checkContentSafety(null, {
+    lines: ['Badwords and notbadword are fine.', 'buy more followers is fine', 'çöpler is a different word']
+  });
+  assert.deepStrictEqual(clean.flagged, []);
+  assert.strictEqual(clean.allowed, true);
+
+  const hit = await checkContentSafety(null, { lines: ['Bu bir çöp!'] });
+  assert.deepStrictEqual(hit.flagged.map(f => f.terms), [['çöp']]);
+});
+
+test('markup is stripped before matching', async () => {
+  const result = await checkContentSafety(null, { lines: ['That is a *badword* [pause] really.'] });
+  assert.deepStrictEqual(result.flagged, [
+    { field: 'line', line: 1, text: 'That is a badword really.', terms: ['badword'], categories: [] }
+  ]);
+});
+
+test('empty lines keep the numbering of the script', async () => {
+  const result = await checkContentSafety(null, { lines: ['', 'badword'] });
+  assert.deepStrictEqual(result.flagged.map(f => f.line), [2]);
+});
+
+test('moderation flags are merged with term hits per field', async () => {
+  const openai = fakeOpenAI(['violent scene']);
+  const result = await checkContentSafety(openai, {
+    lines: ['A violent scene unfolds.', 'Also badword.', 'Fine line one.'],
+    title: 'A violent scene title'
+  });
+  assert.strictEqual(result.moderation, 'ok');
+  assert.deepStrictEqual(openai.calls, [['A violent scene unfolds.', 'Also badword.', 'Fine line one.', 'A violent scene title']]);
+  assert.deepStrictEqual(result.flagged, [
+    { field: 'line', line: 1, text: 'A violent scene unfolds.', terms: [], categories: ['violence'] },
+    { field: 'line', line: 2, text: 'Also badword.', terms: ['badword'], categories: [] },
+    { field: 'title', text: 'A violent scene title', terms: [], categories: ['violence'] }
+  ]);
+
+  // Cached per line: the same texts don't call the API again
+  await checkContentSafety(openai, { lines: ['A violent scene unfolds.', 'Also badword.'] });
+  assert.strictEqual(openai.calls.length, 1);
+});
+
+test('a failing moderation API still applies blocked terms', async () => {
+  const result = await checkContentSafety(fakeOpenAI([], { fail: true }), { lines: ['Fresh line with badword.', 'Fresh clean line.'] });
+  assert.strictEqual(result.moderation, 'unavailable');
+  assert.deepStrictEqual(result.flagged.map(f => [f.line, f.terms]), [[1, ['badword']]]);
+});
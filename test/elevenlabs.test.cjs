@@ -0,0 +1,144 @@
+/* ===========================================================
+   ELEVENLABS HELPER TESTS – SocialStormAI
+   -----------------------------------------------------------
+   - generateElevenLabsTTS against a local mock HTTP server
+     (options.baseUrl), no network needed
+   - Retries 429 / 5xx (honoring Retry-After), never retries 4xx
+   - voice_settings mapping + clamping, request headers / params
+   - Returned characters / attempts and process usage counters
+   =========================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { generateElevenLabsTTS, getElevenLabsUsage } = require('../elevenlabs-helper.cjs');
+
+const AUDIO = Buffer.from('ID3fake-mp3-bytes');
+
+// Mock server: replies from a queue of { status, headers, body }; records every request
+function startMockServer(replies) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null, at: Date.now() });
+      const reply = replies.shift() || { status: 500, body: 'no reply queued' };
+      res.writeHead(reply.status, reply.headers || {});
+      res.end(reply.body === undefined ? AUDIO : reply.body);
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+function tmpOut() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'elevenlabs-'));
+  return { dir, outPath: path.join(dir, 'nested', 'out.mp3') };
+}
+
+test('retries 429 and 5xx, honoring Retry-After, then writes the audio', async () => {
+  const { server, requests, baseUrl } = await startMockServer([
+    { status: 429, headers: { 'Retry-After': '0.3' }, body: '{"detail":"rate limited"}' },
+    { status: 503, headers: { 'Retry-After': '0' }, body: 'unavailable' },
+    { status: 200, headers: { 'Content-Type': 'audio/mpeg' } }
+  ]);
+  const { dir, outPath } = tmpOut();
+  try {
+    const before = getElevenLabsUsage();
+    const result = await generateElevenLabsTTS('Hello there', 'voice-abc', outPath, { apiKey: 'test-key', baseUrl, maxRetries: 3 });
+
+    assert.deepStrictEqual(result, { characters: 11, attempts: 3 });
+    assert.strictEqual(requests.length, 3);
+    assert.ok(requests[1].at - requests[0].at >= 250, 'second attempt should wait for Retry-After (0.3s)');
+    assert.deepStrictEqual(fs.readFileSync(outPath), AUDIO);
+
+    const after = getElevenLabsUsage();
+    assert.strictEqual(after.characters - before.characters, 11);
+    assert.strictEqual(after.requests - before.requests, 1);
+    assert.strictEqual(after.retries - before.retries, 2);
+    assert.strictEqual((after.byVoice['voice-abc'] || 0) - (before.byVoice['voice-abc'] || 0), 11);
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('does not retry 4xx errors other than 429', async () => {
+  const { server, requests, baseUrl } = await startMockServer([
+    { status: 400, body: '{"detail":"bad voice"}' },
+    { status: 200 }
+  ]);
+  const { dir, outPath } = tmpOut();
+  try {
+    const before = getElevenLabsUsage();
+    await assert.rejects(
+      generateElevenLabsTTS('Hi', 'voice-bad', outPath, { apiKey: 'test-key', baseUrl, maxRetries: 3 }),
+      /ElevenLabs TTS failed: HTTP 400: \{"detail":"bad voice"\}/
+    );
+    assert.strictEqual(requests.length, 1);
+    assert.ok(!fs.existsSync(outPath));
+    assert.strictEqual(getElevenLabsUsage().failures - before.failures, 1);
+    assert.strictEqual(getElevenLabsUsage().characters, before.characters);
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('gives up after maxRetries on persistent 5xx', async () => {
+  const { server, requests, baseUrl } = await startMockServer([
+    { status: 500, headers: { 'Retry-After': '0' }, body: 'boom' },
+    { status: 502, headers: { 'Retry-After': '0' }, body: 'boom' },
+    { status: 500, headers: { 'Retry-After': '0' }, body: 'boom' }
+  ]);
+  const { dir, outPath } = tmpOut();
+  try {
+    await assert.rejects(
+      generateElevenLabsTTS('Hi', 'voice-abc', outPath, { apiKey: 'test-key', baseUrl, maxRetries: 2 }),
+      /HTTP 500: boom/
+    );
+    assert.strictEqual(requests.length, 3);
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('maps voice settings onto voice_settings and sends key, model and output format', async () => {
+  const { server, requests, baseUrl } = await startMockServer([{ status: 200 }, { status: 200 }]);
+  const { dir, outPath } = tmpOut();
+  try {
+    await generateElevenLabsTTS('Settings test', 'voice/with space', outPath, {
+      apiKey: 'test-key',
+      baseUrl: `${baseUrl}/`,
+      modelId: 'eleven_test_model',
+      voiceSettings: { stability: 0.3, similarity: 1.7, style: 'nope', speakerBoost: false }
+    });
+    const [req] = requests;
+    assert.strictEqual(req.method, 'POST');
+    assert.strictEqual(req.url, '/v1/text-to-speech/voice%2Fwith%20space?output_format=mp3_44100_128');
+    assert.strictEqual(req.headers['xi-api-key'], 'test-key');
+    assert.strictEqual(req.headers.accept, 'audio/mpeg');
+    assert.deepStrictEqual(req.body, {
+      text: 'Settings test',
+      model_id: 'eleven_test_model',
+      voice_settings: { stability: 0.3, similarity_boost: 1, style: 0, use_speaker_boost: false }
+    });
+
+    // No settings → defaults
+    await generateElevenLabsTTS('Defaults', 'voice-abc', outPath, { apiKey: 'test-key', baseUrl });
+    assert.deepStrictEqual(requests[1].body.voice_settings, {
+      stability: 0.5, similarity_boost: 0.75, style: 0, use_speaker_boost: true
+    });
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,77 @@
+/* ===========================================================
+   OUTPUT FORMATS TESTS – SocialStormAI
+   -----------------------------------------------------------
+   - resolveOutputFormats: aspect / resolution parsing in every
+     accepted shape, frame sizes, primary-first order, dedupe
+   - Unknown aspects (including prototype keys), bad
+     resolutions and the per-job limit become readable errors
+   =========================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveOutputFormats } = require('../output-formats.cjs');
+
+const ids = input => resolveOutputFormats(input).formats.map(f => `${f.id} ${f.width}x${f.height}`);
+
+test('no formats means one 9:16 1080p video', () => {
+  for (const input of [undefined, null, '', []]) {
+    assert.deepStrictEqual(resolveOutputFormats(input), {
+      formats: [{ id: '9x16-1080p', aspect: '9:16', resolution: 1080, width: 1080, height: 1920 }],
+      errors: []
+    });
+  }
+});
+
+test('every aspect ratio and resolution has the right frame size', () => {
+  assert.deepStrictEqual(ids(['9:16@720', '1:1', '4:5@1080', '16:9@720']), [
+    '9x16-720p 720x1280',
+    '1x1-1080p 1080x1080',
+    '4x5-1080p 1080x1350',
+    '16x9-720p 1280x720'
+  ]);
+  assert.deepStrictEqual(ids('16:9'), ['16x9-1080p 1920x1080']);
+});
+
+test('strings, bare resolutions and objects are accepted', () => {
+  assert.deepStrictEqual(ids(' 16:9@720 '), ['16x9-720p 1280x720']);
+  assert.deepStrictEqual(ids('720p'), ['9x16-720p 720x1280']);
+  assert.deepStrictEqual(ids('720'), ['9x16-720p 720x1280']);
+  assert.deepStrictEqual(ids({ aspect: '1:1', resolution: '720' }), ['1x1-720p 720x720']);
+  assert.deepStrictEqual(ids([{ resolution: 720 }, { aspect: '4:5' }]), ['9x16-720p 720x1280', '4x5-1080p 1080x1350']);
+});
+
+test('the first format stays primary and duplicates are dropped', () => {
+  assert.deepStrictEqual(ids(['16:9', '9:16', '16:9@1080', { aspect: '9:16' }]), [
+    '16x9-1080p 1920x1080',
+    '9x16-1080p 1080x1920'
+  ]);
+});
+
+test('unknown aspect ratios are errors, including prototype keys', () => {
+  for (const aspect of ['3:2', 'wide', 'constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    const { formats, errors } = resolveOutputFormats([aspect]);
+    assert.deepStrictEqual(formats, [], aspect);
+    assert.deepStrictEqual(errors, [`Unknown aspect ratio "${aspect.toLowerCase()}" (use 9:16, 1:1, 4:5, 16:9)`], aspect);
+  }
+  assert.deepStrictEqual(resolveOutputFormats({ aspect: 'constructor' }).errors,
+    ['Unknown aspect ratio "constructor" (use 9:16, 1:1, 4:5, 16:9)']);
+});
+
+test('unsupported resolutions and malformed entries are errors', () => {
+  assert.deepStrictEqual(resolveOutputFormats('16:9@480').errors, ['Unsupported resolution "480" (use 720p, 1080p)']);
+  assert.deepStrictEqual(resolveOutputFormats('4k').errors, ['Unknown aspect ratio "4k" (use 9:16, 1:1, 4:5, 16:9)']);
+  assert.deepStrictEqual(resolveOutputFormats('16:9@big').errors, ['Unsupported resolution "NaN" (use 720p, 1080p)']);
+  assert.deepStrictEqual(resolveOutputFormats([42]).errors, ['Invalid output format: 42']);
+  assert.deepStrictEqual(resolveOutputFormats([null]).errors, ['Invalid output format: null']);
+});
+
+test('valid entries are kept next to errors so every problem is reported', () => {
+  const { formats, errors } = resolveOutputFormats(['1:1', '3:2', '16:9@360']);
+  assert.deepStrictEqual(formats.map(f => f.id), ['1x1-1080p']);
+  assert.strictEqual(errors.length, 2);
+});
+
+test('at most four formats per job', () => {
+  const { errors } = resolveOutputFormats(['9:16', '1:1', '4:5', '16:9', '9:16@720']);
+  assert.deepStrictEqual(errors, ['At most 4 output formats per job']);
+});
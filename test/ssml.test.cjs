@@ -0,0 +1,98 @@
+/* ===========================================================
+   SSML HELPER TESTS – SocialStormAI
+   -----------------------------------------------------------
+   - Markup: [pause], *emphasis* / **strong**, [say-as:...],
+     including text that only looks like markup
+   - Lexicon: whole-word matches in any script (Zoë, Æon),
+     longest term first, SSML vs plain-text output
+   - stripMarkup / hasMarkup for captions and clip search
+   =========================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderNarration, stripMarkup, hasMarkup, escapeXml } = require('../ssml-helper.cjs');
+
+const ssml = (line, options = {}) => renderNarration(line, { ssml: true, ...options }).text;
+const plain = (line, options = {}) => renderNarration(line, { ssml: false, ...options }).text;
+
+test('pauses become breaks with default, ms and s lengths, capped at 10s', () => {
+  assert.strictEqual(ssml('Wait [pause] now [pause 800ms] and [pause 1.5s] go [pause 30s]'),
+    '<speak>Wait <break time="500ms"/> now <break time="800ms"/> and <break time="1500ms"/> go <break time="10000ms"/></speak>');
+  assert.strictEqual(plain('Wait [pause] now [pause 100ms] go'), 'Wait … now go');
+});
+
+test('single and double asterisks become moderate and strong emphasis', () => {
+  assert.strictEqual(ssml('It is *huge* and **really** old'),
+    '<speak>It is <emphasis level="moderate">huge</emphasis> and <emphasis level="strong">really</emphasis> old</speak>');
+  assert.strictEqual(ssml('A *whole phrase here* works'),
+    '<speak>A <emphasis level="moderate">whole phrase here</emphasis> works</speak>');
+  assert.strictEqual(ssml('*a*'), '<speak><emphasis level="moderate">a</emphasis></speak>');
+  assert.strictEqual(ssml('It is *huge*', { emphasis: false }),
+    '<speak>It is <prosody volume="loud">huge</prosody></speak>');
+});
+
+test('asterisks that are not wrapped around a word stay text', () => {
+  for (const line of ['2 * 3 * 4 is 24', 'A lone * star', 'Empty ** here', 'Spaced * out *']) {
+    assert.strictEqual(hasMarkup(line), false, line);
+    assert.strictEqual(stripMarkup(line), line);
+    assert.deepStrictEqual(renderNarration(line, { ssml: true }), { text: line, ssml: false });
+  }
+});
+
+test('say-as tags for known types, literal text for unknown ones', () => {
+  assert.strictEqual(ssml('Built by [characters:NASA] in [date: 1969 ]'),
+    '<speak>Built by <say-as interpret-as="characters">NASA</say-as> in <say-as interpret-as="date">1969</say-as></speak>');
+  assert.strictEqual(stripMarkup('Say [shout:hello]'), 'Say [shout:hello]');
+});
+
+test('text is XML-escaped in SSML', () => {
+  assert.strictEqual(ssml('Salt & *pepper* <3'), '<speak>Salt &amp; <emphasis level="moderate">pepper</emphasis> &lt;3</speak>');
+  assert.strictEqual(escapeXml(`"it's"`), '&quot;it&apos;s&quot;');
+});
+
+test('lexicon entries apply as alias or phoneme, longest term first', () => {
+  const lexicon = {
+    Eiffel: { ipa: 'ˈaɪfəl', alias: 'eye-fell' },
+    'Gustave Eiffel': 'goo-stahv eye-fell'
+  };
+  assert.strictEqual(ssml('Gustave Eiffel built the Eiffel tower', { lexicon }),
+    '<speak><sub alias="goo-stahv eye-fell">Gustave Eiffel</sub> built the <phoneme alphabet="ipa" ph="ˈaɪfəl">Eiffel</phoneme> tower</speak>');
+  assert.strictEqual(plain('gustave eiffel built the EIFFEL tower', { lexicon }),
+    'goo-stahv eye-fell built the eye-fell tower');
+});
+
+test('lexicon terms match whole words only', () => {
+  const lexicon = { cat: 'kitty' };
+  assert.strictEqual(plain('The cat, a category of cats, concatenated', { lexicon }),
+    'The kitty, a category of cats, concatenated');
+  assert.strictEqual(plain('cat2 and 2cat and cat.', { lexicon }), 'cat2 and 2cat and kitty.');
+});
+
+test('lexicon terms with non-ASCII letters match, and non-ASCII neighbours are word characters', () => {
+  const lexicon = { Zoë: 'zoh-ee', Æon: 'ee-on', café: 'ka-fay', Eiffel: 'eye-fell' };
+  assert.strictEqual(plain('Zoë waited an æon at the café', { lexicon }), 'zoh-ee waited an ee-on at the ka-fay');
+  assert.strictEqual(plain('Zoëlla and cafés and ÉEiffel stay', { lexicon }), 'Zoëlla and cafés and ÉEiffel stay');
+  assert.strictEqual(ssml('Meet Zoë.', { lexicon }), '<speak>Meet <sub alias="zoh-ee">Zoë</sub>.</speak>');
+});
+
+test('lexicon applies inside emphasis', () => {
+  assert.strictEqual(ssml('The *Eiffel* tower', { lexicon: { Eiffel: 'eye-fell' } }),
+    '<speak>The <emphasis level="moderate"><sub alias="eye-fell">Eiffel</sub></emphasis> tower</speak>');
+});
+
+test('unusable lexicon entries are ignored', () => {
+  const lexicon = { '  ': 'blank', empty: '', none: null, obj: {}, 'c++': 'see plus plus' };
+  assert.strictEqual(plain('empty none obj and c++ stay', { lexicon }), 'empty none obj and see plus plus stay');
+  assert.strictEqual(plain('no lexicon', { lexicon: 'nope' }), 'no lexicon');
+});
+
+test('plain lines go to SSML providers as plain text', () => {
+  assert.deepStrictEqual(renderNarration('Just words.', { ssml: true }), { text: 'Just words.', ssml: false });
+});
+
+test('stripMarkup keeps the spoken words for captions', () => {
+  assert.strictEqual(stripMarkup('It is *huge*! [pause 1s] Ask [characters:NASA].'), 'It is huge! Ask NASA.');
+  assert.strictEqual(stripMarkup(null), '');
+  assert.strictEqual(hasMarkup('Wait [pause]'), true);
+  assert.strictEqual(hasMarkup('Wait'), false);
+});
@@ -0,0 +1,89 @@
+/* ===========================================================
+   SUBTITLES HELPER TESTS – SocialStormAI
+   -----------------------------------------------------------
+   - buildSubtitleCues: cue timing from lead-in / narration,
+     long scenes split by sentence and timed by character count
+   - Cues move back by each transition overlap, using the same
+     overlaps buildTransitionGraph returns for the crossfades
+   - SRT / WebVTT output and timestamp formatting
+   =========================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SUBTITLE_FORMATS, buildSubtitleCues, toSrt, toVtt } = require('../subtitles-helper.cjs');
+const { buildTransitionGraph } = require('../transitions-helper.cjs');
+
+const close = (actual, expected, msg) => assert.ok(Math.abs(actual - expected) < 1e-9, `${msg}: ${actual} ≠ ${expected}`);
+
+test('cues start after the lead-in and last as long as the narration', () => {
+  const cues = buildSubtitleCues([
+    { text: 'Hello there.', duration: 3, leadIn: 0.5, audioDuration: 1.5 },
+    { text: 'Second scene.', duration: 4, leadIn: 0.5, audioDuration: 2 }
+  ]);
+  assert.deepStrictEqual(cues.map(c => c.index), [1, 2]);
+  assert.deepStrictEqual(cues.map(c => c.text), ['Hello there.', 'Second scene.']);
+  close(cues[0].start, 0.5, 'cue 1 start');
+  close(cues[0].end, 2, 'cue 1 end');
+  close(cues[1].start, 3.5, 'cue 2 start');
+  close(cues[1].end, 5.5, 'cue 2 end');
+});
+
+test('cues move back by the transition overlaps so they stay on their scene', () => {
+  const durations = [3, 4, 5];
+  const graph = buildTransitionGraph(durations, [null, 'fade', 'cut'], 0.5);
+  const cues = buildSubtitleCues(durations.map((duration, i) => ({
+    text: `Scene ${i + 1}.`, duration, leadIn: 0.5, audioDuration: 1, overlap: graph.overlaps[i]
+  })));
+  // Scene 2 enters at the xfade offset (3 - 0.5), scene 3 right after scene 2 ends (cut)
+  close(cues[1].start, 2.5 + 0.5, 'scene 2 cue');
+  close(cues[2].start, 6.5 + 0.5, 'scene 3 cue');
+  assert.ok(graph.filters.includes('[v0][v1]xfade=transition=fade:duration=0.500:offset=2.500[vx1]'));
+  close(cues[2].end, graph.duration - (5 - 0.5 - 1), 'last cue ends before the scene tail');
+});
+
+test('long scenes are split by sentence and timed by character count', () => {
+  const first = 'The octopus has three separate hearts.';
+  const second = 'Two pump blood to the gills only.';
+  const cues = buildSubtitleCues([{ text: `${first} ${second}`, duration: 9, leadIn: 0.5, audioDuration: 7.1 }]);
+  assert.deepStrictEqual(cues.map(c => c.text), [first, second]);
+  close(cues[0].start, 0.5, 'first start');
+  close(cues[0].end, 0.5 + 7.1 * (first.length / (first.length + second.length)), 'first end');
+  close(cues[1].start, cues[0].end, 'second follows first');
+  close(cues[1].end, 7.6, 'second end');
+});
+
+test('cues wrap onto at most two lines', () => {
+  const text = 'this sentence keeps going without any punctuation at all because the narrator never stops to breathe once';
+  const cues = buildSubtitleCues([{ text, duration: 10, leadIn: 0.5, audioDuration: 8 }]);
+  assert.ok(cues.length >= 2);
+  for (const cue of cues) {
+    assert.ok(cue.text.split('\n').length <= 2, `"${cue.text}" has more than two lines`);
+    assert.ok(cue.text.replace('\n', ' ').length <= 84, `"${cue.text}" is too long for one cue`);
+  }
+  assert.strictEqual(cues.map(c => c.text.replace('\n', ' ')).join(' '), text);
+});
+
+test('SRT uses comma milliseconds and numbered blocks', () => {
+  const srt = toSrt([
+    { index: 1, start: 0.5, end: 2, text: 'Hello there.' },
+    { index: 2, start: 3661.5, end: 3662.0004, text: 'Line one\nline two' }
+  ]);
+  assert.strictEqual(srt,
+    '1\n00:00:00,500 --> 00:00:02,000\nHello there.\n' +
+    '\n' +
+    '2\n01:01:01,500 --> 01:01:02,000\nLine one\nline two\n');
+});
+
+test('WebVTT has a header and dot milliseconds', () => {
+  const vtt = toVtt([{ index: 1, start: 59.9996, end: 61.25, text: 'Hi' }]);
+  assert.strictEqual(vtt, 'WEBVTT\n\n1\n00:01:00.000 --> 00:01:01.250\nHi\n');
+});
+
+test('timestamps never go negative', () => {
+  assert.match(toSrt([{ index: 1, start: -0.2, end: 0.3, text: 'x' }]), /^1\n00:00:00,000 --> 00:00:00,300\n/);
+});
+
+test('only srt and vtt are subtitle formats', () => {
+  assert.deepStrictEqual(Object.keys(SUBTITLE_FORMATS), ['srt', 'vtt']);
+  assert.match(SUBTITLE_FORMATS.vtt.contentType, /^text\/vtt/);
+});
@@ -0,0 +1,123 @@
+/* ===========================================================
+   TIMELINE HELPER TESTS – SocialStormAI
+   -----------------------------------------------------------
+   - validateTimeline: accepted shapes and normalization
+   - Unknown / extra fields, bad per-scene overrides and the
+     exact messages the /api/generate-video route returns as 400
+   - scriptToTimeline: plain script → text-only scenes
+   =========================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { TIMELINE_LIMITS, validateTimeline, scriptToTimeline } = require('../timeline-helper.cjs');
+
+const registries = {
+  isKnownVoice: id => id === 'voice-a' || id === 'voice-b',
+  isKnownMedia: id => id === 'upload-1'
+};
+
+test('a valid document is normalized', () => {
+  const { timeline, errors } = validateTimeline({
+    scenes: [
+      { text: '  Octopuses have   three hearts. ', voice: 'voice-a', clipQuery: ' octopus ', duration: 6 },
+      { text: 'One of them stops when they swim.', mediaId: 'upload-1', transition: 'Crossfade', captionStyle: 'Boxed' },
+      { text: 'So they prefer to crawl.', clipQuery: ['octopus crawling', 'reef'], transition: 'cut', captionStyle: false }
+    ]
+  }, registries);
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(timeline.scenes, [
+    { text: 'Octopuses have three hearts.', voice: 'voice-a', clipQuery: ['octopus'], mediaId: null, duration: 6, transition: null },
+    { text: 'One of them stops when they swim.', voice: null, clipQuery: null, mediaId: 'upload-1', duration: null, transition: 'fade', captionStyle: 'boxed' },
+    { text: 'So they prefer to crawl.', voice: null, clipQuery: ['octopus crawling', 'reef'], mediaId: null, duration: null, transition: 'cut', captionStyle: false }
+  ]);
+});
+
+test('a bare array of scenes is accepted', () => {
+  const { timeline, errors } = validateTimeline([{ text: 'Hello' }, { text: 'World', captionStyle: null }]);
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(timeline.scenes.length, 2);
+  assert.strictEqual(timeline.scenes[1].captionStyle, false);
+});
+
+test('a document without scenes is rejected with one message', () => {
+  for (const input of [null, 'text', 42, {}, { scenes: 'nope' }]) {
+    assert.deepStrictEqual(validateTimeline(input), {
+      timeline: null,
+      errors: ['timeline must be an array of scenes or an object with a "scenes" array']
+    });
+  }
+});
+
+test('empty and oversized scene lists are rejected', () => {
+  assert.deepStrictEqual(validateTimeline({ scenes: [] }).errors, ['timeline.scenes must contain at least one scene']);
+
+  const many = Array.from({ length: TIMELINE_LIMITS.maxScenes + 1 }, (_, i) => ({ text: `Line ${i}` }));
+  const { timeline, errors } = validateTimeline({ scenes: many });
+  assert.strictEqual(timeline, null);
+  assert.deepStrictEqual(errors, [`timeline.scenes has ${many.length} scenes (max ${TIMELINE_LIMITS.maxScenes})`]);
+});
+
+test('unknown fields and non-object scenes are reported per scene', () => {
+  const { timeline, errors } = validateTimeline({
+    scenes: [
+      { text: 'Fine', image: 'x.png', Voice: 'voice-a' },
+      'just a string',
+      ['text'],
+      null
+    ]
+  }, registries);
+  assert.strictEqual(timeline, null);
+  assert.deepStrictEqual(errors, [
+    'scenes[0] has unknown field(s): image, Voice',
+    'scenes[1] must be an object',
+    'scenes[2] must be an object',
+    'scenes[3] must be an object'
+  ]);
+});
+
+test('bad per-scene overrides return readable messages', () => {
+  const { timeline, errors } = validateTimeline({
+    scenes: [
+      { text: '' },
+      { text: 'x'.repeat(TIMELINE_LIMITS.maxTextChars + 1) },
+      { text: 'Voice', voice: 'voice-z' },
+      { text: 'Voice type', voice: 7 },
+      { text: 'Query type', clipQuery: ['ok', 3] },
+      { text: 'Too many queries', clipQuery: ['a', 'b', 'c', 'd'] },
+      { text: 'Media', mediaId: 'upload-9' },
+      { text: 'Both', clipQuery: 'reef', mediaId: 'upload-1' },
+      { text: 'Short', duration: 0.5 },
+      { text: 'String duration', duration: '6' },
+      { text: 'Transition', transition: 'spin' },
+      { text: 'Caption', captionStyle: 'neon' },
+      { text: 'Prototype caption', captionStyle: 'constructor' }
+    ]
+  }, registries);
+
+  assert.strictEqual(timeline, null);
+  const durationRange = `between ${TIMELINE_LIMITS.minDuration} and ${TIMELINE_LIMITS.maxDuration}`;
+  assert.deepStrictEqual(errors.slice(0, 10), [
+    'scenes[0].text is required',
+    `scenes[1].text is longer than ${TIMELINE_LIMITS.maxTextChars} characters`,
+    'scenes[2].voice "voice-z" is not a known voice',
+    'scenes[3].voice must be a voice id',
+    'scenes[4].clipQuery must be a string or an array of strings',
+    `scenes[5].clipQuery allows at most ${TIMELINE_LIMITS.maxQueries} queries`,
+    'scenes[6].mediaId "upload-9" is not a known upload',
+    'scenes[7] cannot have both clipQuery and mediaId',
+    `scenes[8].duration must be a number of seconds ${durationRange}`,
+    `scenes[9].duration must be a number of seconds ${durationRange}`
+  ]);
+  assert.match(errors[10], /^scenes\[10\]\.transition must be one of: cut, fade, .*crossfade/);
+  assert.match(errors[11], /^scenes\[11\]\.captionStyle must be false or one of: karaoke, boxed, minimal, bold/);
+  assert.match(errors[12], /^scenes\[12\]\.captionStyle must be false or one of:/);
+  assert.strictEqual(errors.length, 13);
+});
+
+test('scriptToTimeline turns each non-empty line into a scene', () => {
+  assert.deepStrictEqual(scriptToTimeline('First line\n\n  Second line  \n'), {
+    scenes: [{ text: 'First line' }, { text: 'Second line' }]
+  });
+  assert.deepStrictEqual(scriptToTimeline(''), { scenes: [] });
+});
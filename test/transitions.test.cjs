@@ -0,0 +1,89 @@
+/* ===========================================================
+   TRANSITIONS HELPER TESTS – SocialStormAI
+   -----------------------------------------------------------
+   - buildTransitionGraph: concat for cuts, xfade/acrossfade
+     offsets for transitions, overlap clamped to half a scene,
+     total duration and the overlaps handed to the subtitles
+   - resolveTransition / resolveTransitionDuration inputs
+   =========================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  resolveTransition,
+  resolveTransitionDuration,
+  buildTransitionGraph
+} = require('../transitions-helper.cjs');
+
+test('a single scene has no joins', () => {
+  const graph = buildTransitionGraph([5], ['fade'], 0.5);
+  assert.strictEqual(graph.videoOut, 'v0');
+  assert.strictEqual(graph.audioOut, 'a0');
+  assert.strictEqual(graph.duration, 5);
+  assert.deepStrictEqual(graph.overlaps, [0]);
+  assert.strictEqual(graph.filters.length, 2);
+});
+
+test('cuts concatenate without overlap', () => {
+  const graph = buildTransitionGraph([4, 6, 3], [null, 'cut', 'cut'], 0.5);
+  assert.strictEqual(graph.duration, 13);
+  assert.deepStrictEqual(graph.overlaps, [0, 0, 0]);
+  assert.ok(graph.filters.includes('[v0][v1]concat=n=2:v=1:a=0[vx1]'));
+  assert.ok(graph.filters.includes('[ax1][a2]concat=n=2:v=0:a=1[ax2]'));
+  assert.ok(!graph.filters.some(f => f.includes('xfade')));
+  assert.strictEqual(graph.videoOut, 'vx2');
+  assert.strictEqual(graph.audioOut, 'ax2');
+});
+
+test('a missing transition is a cut', () => {
+  const graph = buildTransitionGraph([4, 6], [], 0.5);
+  assert.deepStrictEqual(graph.overlaps, [0, 0]);
+  assert.strictEqual(graph.duration, 10);
+});
+
+test('xfade starts each transition where the joined video so far ends', () => {
+  const graph = buildTransitionGraph([4, 6, 5], [null, 'fade', 'slideleft'], 0.5);
+  // 4 + 6 + 5 minus two 0.5s overlaps
+  assert.strictEqual(graph.duration, 14);
+  assert.deepStrictEqual(graph.overlaps, [0, 0.5, 0.5]);
+  assert.ok(graph.filters.includes('[v0][v1]xfade=transition=fade:duration=0.500:offset=3.500[vx1]'));
+  assert.ok(graph.filters.includes('[vx1][v2]xfade=transition=slideleft:duration=0.500:offset=9.000[vx2]'));
+  assert.ok(graph.filters.includes('[a0][a1]acrossfade=d=0.500:c1=tri:c2=nofade[ax1]'));
+});
+
+test('cuts and transitions can be mixed', () => {
+  const graph = buildTransitionGraph([4, 6, 5], [null, 'cut', 'fade'], 1);
+  assert.deepStrictEqual(graph.overlaps, [0, 0, 1]);
+  assert.strictEqual(graph.duration, 14);
+  assert.ok(graph.filters.includes('[vx1][v2]xfade=transition=fade:duration=1.000:offset=9.000[vx2]'));
+});
+
+test('the overlap never exceeds half of either scene', () => {
+  const shortIncoming = buildTransitionGraph([4, 1.2], [null, 'fade'], 1);
+  assert.deepStrictEqual(shortIncoming.overlaps, [0, 0.6]);
+  assert.ok(shortIncoming.filters.includes('[v0][v1]xfade=transition=fade:duration=0.600:offset=3.400[vx1]'));
+
+  const shortOutgoing = buildTransitionGraph([0.8, 5], [null, 'dissolve'], 1);
+  assert.deepStrictEqual(shortOutgoing.overlaps, [0, 0.4]);
+  assert.ok(Math.abs(shortOutgoing.duration - 5.4) < 1e-9);
+});
+
+test('transition names and aliases resolve, unknown names do not', () => {
+  assert.strictEqual(resolveTransition('fade'), 'fade');
+  assert.strictEqual(resolveTransition(' Crossfade '), 'fade');
+  assert.strictEqual(resolveTransition('none'), 'cut');
+  assert.strictEqual(resolveTransition('whip-pan'), 'hblur');
+  assert.strictEqual(resolveTransition('spin'), null);
+  assert.strictEqual(resolveTransition('constructor'), null);
+  assert.strictEqual(resolveTransition(''), null);
+  assert.strictEqual(resolveTransition(3), null);
+});
+
+test('transition duration defaults and clamps to its range', () => {
+  assert.strictEqual(resolveTransitionDuration(undefined), 0.5);
+  assert.strictEqual(resolveTransitionDuration(''), 0.5);
+  assert.strictEqual(resolveTransitionDuration('abc'), 0.5);
+  assert.strictEqual(resolveTransitionDuration('0.8'), 0.8);
+  assert.strictEqual(resolveTransitionDuration(0.05), 0.2);
+  assert.strictEqual(resolveTransitionDuration(3), 1);
+});
@@ -0,0 +1,124 @@
+/* ===========================================================
+   TIMELINE HELPER – SocialStormAI
+   -----------------------------------------------------------
+   - Structured input for /api/generate-video:
+       { "scenes": [ { "text": "...", "voice": "...",
+                       "clipQuery": "...", "mediaId": "...",
+                       "duration": 6, "transition": "fade",
+                       "captionStyle": "boxed" }, ... ] }
+   - transition is how a scene is entered from the previous one
+     (ignored on the first scene); see transitions-helper.cjs
+   - validateTimeline() collects every problem as a readable
+     message (returned as a 400 by the route)
+   - scriptToTimeline() turns a plain newline script into the
+     same structure, so the pipeline has a single input shape
+   =========================================================== */
+
+const { splitScriptToScenes } = require('./pexels-helper.cjs');
+const { CAPTION_PRESETS } = require('./captions-helper.cjs');
+const { TRANSITIONS, TRANSITION_ALIASES, resolveTransition } = require('./transitions-helper.cjs');
+
+const TIMELINE_LIMITS = {
+  maxScenes: 40,
+  maxTextChars: 600,
+  minDuration: 1,
+  maxDuration: 60,
+  maxQueries: 3
+};
+
+const SCENE_FIELDS = ['text', 'voice', 'clipQuery', 'mediaId', 'duration', 'transition', 'captionStyle'];
+
+function isNonEmptyString(v) {
+  return typeof v === 'string' && v.trim().length > 0;
+}
+
+// --- Validate and normalize a timeline document ---
+// options.isKnownVoice(id) / options.isKnownMedia(id) check references against the server's registries.
+// Returns { timeline, errors }; timeline is only meaningful when errors is empty.
+function validateTimeline(input, { isKnownVoice = () => true, isKnownMedia = () => true } = {}) {
+  const errors = [];
+  const rawScenes = Array.isArray(input) ? input : (input && Array.isArray(input.scenes) ? input.scenes : null);
+  if (!rawScenes) {
+    return { timeline: null, errors: ['timeline must be an array of scenes or an object with a "scenes" array'] };
+  }
+  if (!rawScenes.length) errors.push('timeline.scenes must contain at least one scene');
+  if (rawScenes.length > TIMELINE_LIMITS.maxScenes) {
+    errors.push(`timeline.scenes has ${rawScenes.length} scenes (max ${TIMELINE_LIMITS.maxScenes})`);
+  }
+
+  const scenes = rawScenes.slice(0, TIMELINE_LIMITS.maxScenes).map((raw, i) => {
+    const at = `scenes[${i}]`;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push(`${at} must be an object`);
+      return null;
+    }
+    const unknown = Object.keys(raw).filter(k => !SCENE_FIELDS.includes(k));
+    if (unknown.length) errors.push(`${at} has unknown field(s): ${unknown.join(', ')}`);
+
+    const scene = { text: '', voice: null, clipQuery: null, mediaId: null, duration: null, transition: null };
+
+    if (!isNonEmptyString(raw.text)) errors.push(`${at}.text is required`);
+    else if (raw.text.length > TIMELINE_LIMITS.maxTextChars) errors.push(`${at}.text is longer than ${TIMELINE_LIMITS.maxTextChars} characters`);
+    else scene.text = raw.text.replace(/\s+/g, ' ').trim();
+
+    if (raw.voice !== undefined && raw.voice !== null) {
+      if (!isNonEmptyString(raw.voice)) errors.push(`${at}.voice must be a voice id`);
+      else if (!isKnownVoice(raw.voice)) errors.push(`${at}.voice "${raw.voice}" is not a known voice`);
+      else scene.voice = raw.voice;
+    }
+
+    if (raw.clipQuery !== undefined && raw.clipQuery !== null) {
+      const queries = (Array.isArray(raw.clipQuery) ? raw.clipQuery : [raw.clipQuery]);
+      if (!queries.length || !queries.every(isNonEmptyString)) errors.push(`${at}.clipQuery must be a string or an array of strings`);
+      else if (queries.length > TIMELINE_LIMITS.maxQueries) errors.push(`${at}.clipQuery allows at most ${TIMELINE_LIMITS.maxQueries} queries`);
+      else scene.clipQuery = queries.map(q => q.trim());
+    }
+
+    if (raw.mediaId !== undefined && raw.mediaId !== null) {
+      if (!isNonEmptyString(raw.mediaId)) errors.push(`${at}.mediaId must be an upload id`);
+      else if (!isKnownMedia(raw.mediaId)) errors.push(`${at}.mediaId "${raw.mediaId}" is not a known upload`);
+      else scene.mediaId = raw.mediaId;
+    }
+    if (scene.clipQuery && scene.mediaId) errors.push(`${at} cannot have both clipQuery and mediaId`);
+
+    if (raw.duration !== undefined && raw.duration !== null) {
+      const d = raw.duration;
+      if (typeof d !== 'number' || !Number.isFinite(d) || d < TIMELINE_LIMITS.minDuration || d > TIMELINE_LIMITS.maxDuration) {
+        errors.push(`${at}.duration must be a number of seconds between ${TIMELINE_LIMITS.minDuration} and ${TIMELINE_LIMITS.maxDuration}`);
+      } else {
+        scene.duration = d;
+      }
+    }
+
+    if (raw.transition !== undefined && raw.transition !== null) {
+      const transition = resolveTransition(raw.transition);
+      if (!transition) errors.push(`${at}.transition must be one of: ${[...TRANSITIONS, ...Object.keys(TRANSITION_ALIASES)].join(', ')}`);
+      else scene.transition = transition;
+    }
+
+    // Absent = job-level captions; false = no captions for this scene; string = preset
+    if (raw.captionStyle !== undefined) {
+      if (raw.captionStyle === false || raw.captionStyle === null) scene.captionStyle = false;
+      else if (typeof raw.captionStyle !== 'string' || !Object.hasOwn(CAPTION_PRESETS, raw.captionStyle.toLowerCase())) {
+        errors.push(`${at}.captionStyle must be false or one of: ${Object.keys(CAPTION_PRESETS).join(', ')}`);
+      } else {
+        scene.captionStyle = raw.captionStyle.toLowerCase();
+      }
+    }
+    return scene;
+  });
+
+  if (errors.length) console.warn(`[TIMELINE] Invalid timeline: ${errors.length} error(s)`, errors);
+  return { timeline: errors.length ? null : { scenes }, errors };
+}
+
+// --- Plain newline script → timeline with text-only scenes ---
+function scriptToTimeline(script) {
+  return { scenes: splitScriptToScenes(script).map(s => ({ text: s.text })) };
+}
+
+module.exports = {
+  TIMELINE_LIMITS,
+  validateTimeline,
+  scriptToTimeline
+};
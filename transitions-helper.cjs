@@ -0,0 +1,142 @@
+/* ===========================================================
+   TRANSITIONS HELPER – SocialStormAI
+   -----------------------------------------------------------
+   - Scene-to-scene transitions with ffmpeg xfade (video) and
+     acrossfade (audio), built as one filter graph over all scenes
+   - "cut" boundaries use the concat filter inside the same graph,
+     so hard cuts and transitions can be mixed per scene
+   - Each transition overlaps two scenes by its duration; the
+     overlaps are returned so subtitle cues stay in sync
+   - **MAXIMUM LOGGING IN EVERY FUNCTION**
+   =========================================================== */
+
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+
+// "cut" is a hard cut; the rest are ffmpeg xfade transition names
+const TRANSITIONS = [
+  'cut', 'fade', 'fadeblack', 'fadewhite', 'dissolve',
+  'wipeleft', 'wiperight', 'wipeup', 'wipedown',
+  'slideleft', 'slideright', 'slideup', 'slidedown',
+  'circleopen', 'circleclose', 'radial', 'smoothleft', 'smoothright',
+  'zoomin', 'hblur'
+];
+
+// Friendly names accepted from the UI / API
+const TRANSITION_ALIASES = {
+  none: 'cut',
+  crossfade: 'fade',
+  slide: 'slideleft',
+  zoom: 'zoomin',
+  'whip-pan': 'hblur',
+  whippan: 'hblur'
+};
+
+// Scenes end with 1s of silence after the narration (see runVideoJob), so a
+// crossfade up to that long never overlaps two voices.
+const TRANSITION_DURATION_RANGE = [0.2, 1.0];
+const DEFAULT_TRANSITION_DURATION = 0.5;
+const FPS = 30;
+
+// --- "Crossfade" → "fade"; unknown names → null ---
+function resolveTransition(name) {
+  if (!name || typeof name !== 'string') return null;
+  const key = name.trim().toLowerCase();
+  const resolved = TRANSITION_ALIASES[key] || key;
+  return TRANSITIONS.includes(resolved) ? resolved : null;
+}
+
+function resolveTransitionDuration(value) {
+  const n = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(n)) return DEFAULT_TRANSITION_DURATION;
+  const [min, max] = TRANSITION_DURATION_RANGE;
+  const clamped = Math.min(max, Math.max(min, n));
+  if (clamped !== n) console.warn(`[TRANSITIONS] transitionDuration ${n} out of range, using ${clamped}`);
+  return clamped;
+}
+
+// --- Build the filter graph: returns { filters, videoOut, audioOut, duration, overlaps } ---
+// transitions[i] is the transition INTO scene i (transitions[0] is ignored).
+function buildTransitionGraph(durations, transitions, transitionDuration) {
+  const filters = [];
+  durations.forEach((_, i) => {
+    filters.push(`[${i}:v]fps=${FPS},settb=AVTB,format=yuv420p,setpts=PTS-STARTPTS[v${i}]`);
+    filters.push(`[${i}:a]aresample=44100,aformat=sample_fmts=fltp:channel_layouts=stereo,asetpts=PTS-STARTPTS[a${i}]`);
+  });
+
+  let videoOut = 'v0';
+  let audioOut = 'a0';
+  let length = durations[0];
+  const overlaps = [0];
+  for (let i = 1; i < durations.length; i++) {
+    const transition = transitions[i] || 'cut';
+    // Never overlap more than half of either scene
+    const d = Math.min(transitionDuration, durations[i - 1] / 2, durations[i] / 2);
+    const v = `vx${i}`;
+    const a = `ax${i}`;
+    if (transition === 'cut') {
+      filters.push(`[${videoOut}][v${i}]concat=n=2:v=1:a=0[${v}]`);
+      filters.push(`[${audioOut}][a${i}]concat=n=2:v=0:a=1[${a}]`);
+      length += durations[i];
+      overlaps.push(0);
+    } else {
+      const offset = length - d;
+      filters.push(`[${videoOut}][v${i}]xfade=transition=${transition}:duration=${d.toFixed(3)}:offset=${offset.toFixed(3)}[${v}]`);
+      // The outgoing tail fades; the incoming scene starts at full level so its narration is untouched
+      filters.push(`[${audioOut}][a${i}]acrossfade=d=${d.toFixed(3)}:c1=tri:c2=nofade[${a}]`);
+      length += durations[i] - d;
+      overlaps.push(d);
+    }
+    videoOut = v;
+    audioOut = a;
+  }
+  return { filters, videoOut, audioOut, duration: length, overlaps };
+}
+
+// --- MAIN: join scene files with per-boundary transitions ---
+// sceneFiles/durations are in playback order; durations are the probed file lengths.
+// Resolves { outPath, duration, overlaps } where overlaps[i] is how far scene i starts before the previous one ends.
+function concatWithTransitions(sceneFiles, durations, transitions, outPath, { transitionDuration = DEFAULT_TRANSITION_DURATION } = {}) {
+  return new Promise((resolve, reject) => {
+    if (!sceneFiles.length) return reject(new Error('No scenes to join'));
+    const graph = buildTransitionGraph(durations, transitions, transitionDuration);
+    console.log(`[TRANSITIONS] Joining ${sceneFiles.length} scenes: ${transitions.slice(1).join(', ') || '(single scene)'} | ${graph.duration.toFixed(2)}s`);
+    console.log('[TRANSITIONS] Filter graph:\n' + graph.filters.join(';\n'));
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+
+    const cmd = ffmpeg();
+    sceneFiles.forEach(f => cmd.input(f));
+    cmd
+      .complexFilter(graph.filters)
+      .outputOptions([
+        '-map', `[${graph.videoOut}]`,
+        '-map', `[${graph.audioOut}]`,
+        '-c:v', 'libx264',
+        '-preset', 'veryfast',
+        '-pix_fmt', 'yuv420p',
+        '-c:a', 'aac',
+        '-b:a', '192k',
+        '-movflags', '+faststart',
+        '-y'
+      ])
+      .save(outPath)
+      .on('end', () => {
+        console.log(`[TRANSITIONS] Joined with transitions: ${outPath}`);
+        resolve({ outPath, duration: graph.duration, overlaps: graph.overlaps });
+      })
+      .on('error', err => {
+        console.error('[TRANSITIONS] Transition join failed:', err);
+        reject(err);
+      });
+  });
+}
+
+module.exports = {
+  TRANSITIONS,
+  TRANSITION_ALIASES,
+  resolveTransition,
+  resolveTransitionDuration,
+  buildTransitionGraph,
+  concatWithTransitions
+};
@@ -0,0 +1,284 @@
+/* ===========================================================
+   TTS PROVIDER REGISTRY – SocialStormAI
+   -----------------------------------------------------------
+   - Each provider declares its voices, limits and capabilities
+     and a synthesize(text, voice, outPath, options) function
+   - Built in: Polly, ElevenLabs, Google, local offline (espeak-ng)
+   - synthesizeWithFallback(): tries the requested voice, then
+     re-voices with a mapped equivalent voice down a fallback chain
+   - Script markup + lexicon are rendered per provider (SSML or plain)
+   - getWordTimings(): word-level speech marks where supported (Polly)
+   - **MAXIMUM LOGGING IN EVERY FUNCTION**
+   =========================================================== */
+
+const AWS = require('aws-sdk');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const ffmpeg = require('fluent-ffmpeg');
+const { generateElevenLabsTTS } = require('./elevenlabs-helper.cjs');
+const { GOOGLE_VOICES, generateGoogleTTS } = require('./google-tts-helper.cjs');
+const { renderNarration } = require('./ssml-helper.cjs');
+
+// ENV
+const DEFAULT_FALLBACK_CHAIN = (process.env.TTS_FALLBACK_CHAIN || 'polly,google,local')
+  .split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+const LOCAL_TTS_BIN = process.env.LOCAL_TTS_BIN || 'espeak-ng';
+
+const providers = {}; // id → provider definition
+
+// --- Register a provider. Voices inherit provider id and default language. ---
+function registerProvider(def) {
+  if (!def || !def.id || typeof def.synthesize !== 'function') {
+    throw new Error('[TTS] Provider needs an id and a synthesize() function');
+  }
+  const provider = {
+    label: def.id,
+    limits: {},
+    capabilities: {},
+    isAvailable: () => true,
+    ...def,
+    voices: (def.voices || []).map(v => ({ languageCode: 'en-US', disabled: false, ...v, provider: def.id }))
+  };
+  providers[provider.id] = provider;
+  console.log(`[TTS] Registered provider "${provider.id}" with ${provider.voices.length} voices`);
+  return provider;
+}
+
+function getProvider(id) {
+  return providers[String(id || '').toLowerCase()] || null;
+}
+
+function listProviders() {
+  return Object.values(providers);
+}
+
+// --- Voice catalog for /api/voices (fallback-only voices are hidden by default) ---
+function listVoices({ includeFallbackOnly = false } = {}) {
+  return listProviders()
+    .flatMap(p => p.voices)
+    .filter(v => includeFallbackOnly || !v.fallbackOnly);
+}
+
+function getVoice(voiceId) {
+  return listVoices({ includeFallbackOnly: true }).find(v => v.id === voiceId) || null;
+}
+
+// --- Pick the closest voice on another provider: explicit map, then language+gender+tier ---
+function findEquivalentVoice(voice, providerId) {
+  const provider = getProvider(providerId);
+  if (!provider || !voice) return null;
+  if (voice.fallbacks && voice.fallbacks[provider.id]) {
+    const mapped = provider.voices.find(v => v.id === voice.fallbacks[provider.id]);
+    if (mapped) return mapped;
+  }
+  const candidates = provider.voices.filter(v => !v.disabled);
+  const lang = voice.languageCode || 'en-US';
+  const langPrefix = lang.split('-')[0];
+  const score = v =>
+    (v.languageCode === lang ? 4 : (String(v.languageCode).split('-')[0] === langPrefix ? 2 : 0)) +
+    (v.gender === voice.gender ? 2 : 0) +
+    (v.tier === voice.tier ? 1 : 0);
+  const best = candidates.sort((a, b) => score(b) - score(a))[0];
+  return best && score(best) >= 2 ? best : null;
+}
+
+// --- Synthesize with one provider, enforcing its declared limits ---
+// `line` may carry narration markup; it is rendered to SSML only if the provider supports it.
+async function synthesizeWith(provider, line, voice, outPath, options = {}) {
+  const { text, ssml } = renderNarration(line, {
+    lexicon: options.lexicon,
+    ssml: !!provider.capabilities.ssml,
+    emphasis: provider.capabilities.emphasis !== false
+  });
+  if (provider.limits.maxChars && text.length > provider.limits.maxChars) {
+    throw new Error(`[TTS] ${provider.id} limit exceeded: ${text.length} > ${provider.limits.maxChars} chars`);
+  }
+  if (!provider.isAvailable()) {
+    throw new Error(`[TTS] Provider ${provider.id} is not configured`);
+  }
+  const result = await provider.synthesize(text, voice, outPath, { ...options, ssml });
+  if (!fs.existsSync(outPath) || fs.statSync(outPath).size < 1024) {
+    throw new Error(`[TTS] ${provider.id} output missing or too small: ${outPath}`);
+  }
+  return { characters: text.length, ...(result || {}) };
+}
+
+// --- MAIN: voice a line, falling back down the chain instead of failing the job ---
+// Returns { provider, voiceId, characters, fallback, errors }.
+async function synthesizeWithFallback(text, voiceId, outPath, options = {}) {
+  const voice = getVoice(voiceId);
+  if (!voice) throw new Error(`Unknown voice: ${voiceId}`);
+  const chain = (options.fallbackChain || DEFAULT_FALLBACK_CHAIN).map(s => String(s).toLowerCase());
+
+  const attempts = [{ provider: getProvider(voice.provider), voice }];
+  for (const providerId of chain) {
+    if (providerId === voice.provider) continue;
+    const equivalent = findEquivalentVoice(voice, providerId);
+    if (equivalent) attempts.push({ provider: getProvider(providerId), voice: equivalent });
+  }
+
+  const errors = [];
+  for (const attempt of attempts) {
+    const { provider, voice: v } = attempt;
+    const isFallback = v.id !== voice.id;
+    try {
+      if (isFallback) console.warn(`[TTS] Falling back to ${provider.id}:${v.id} for voice ${voice.id}`);
+      const result = await synthesizeWith(provider, text, v, outPath, options);
+      console.log(`[TTS] Voiced with ${provider.id}:${v.id}${isFallback ? ' (fallback)' : ''} → ${outPath}`);
+      return { provider: provider.id, voiceId: v.id, characters: result.characters, fallback: isFallback, errors };
+    } catch (err) {
+      console.error(`[ERR][TTS] ${provider.id}:${v.id} failed:`, err.message);
+      errors.push({ provider: provider.id, voiceId: v.id, error: err.message });
+      fs.rmSync(outPath, { force: true });
+    }
+  }
+  const err = new Error(`All TTS providers failed for voice ${voiceId}`);
+  err.attempts = errors;
+  throw err;
+}
+
+// --- Word timings straight from the provider, if it can produce them ---
+// Returns [{ word, start, end }] in seconds, or null when the voice's provider has no speech marks.
+async function getWordTimings(line, voiceId, options = {}) {
+  const voice = getVoice(voiceId);
+  const provider = voice && getProvider(voice.provider);
+  if (!provider || !provider.capabilities.speechMarks || typeof provider.speechMarks !== 'function') return null;
+  const { text, ssml } = renderNarration(line, {
+    lexicon: options.lexicon,
+    ssml: !!provider.capabilities.ssml,
+    emphasis: provider.capabilities.emphasis !== false
+  });
+  const marks = await provider.speechMarks(text, voice, { ...options, ssml });
+  const words = marks.filter(m => m.type === 'word' && String(m.value).trim());
+  console.log(`[TTS] ${provider.id} returned ${words.length} word marks for voice ${voice.id}`);
+  return words.map((m, i) => {
+    const start = m.time / 1000;
+    const next = words[i + 1];
+    const end = next ? next.time / 1000 : (options.duration || start + 0.4);
+    return { word: m.value, start, end: Math.max(end, start + 0.05) };
+  });
+}
+
+// ===================== BUILT-IN PROVIDERS =====================
+
+// --- Amazon Polly (neural) ---
+registerProvider({
+  id: 'polly',
+  label: 'Amazon Polly',
+  limits: { maxChars: 3000 },
+  // Neural voices reject <emphasis>; renderNarration swaps in <prosody volume>
+  capabilities: { ssml: true, emphasis: false, speechMarks: true, offline: false },
+  isAvailable: () => !!(process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY),
+  voices: [
+    { id: "Matthew", name: "Matthew (US Male)", description: "Amazon Polly, Male, US English (Neural) - Free with AWS Free Tier", tier: "Free", gender: "male" }
+  ],
+  synthesize: async (text, voice, outPath, options = {}) => {
+    console.log(`[POLLY] Synthesizing speech: "${text}" [voice: ${voice.id}] → ${outPath}`);
+    const polly = new AWS.Polly();
+    const data = await polly.synthesizeSpeech({
+      OutputFormat: 'mp3',
+      Text: text,
+      TextType: options.ssml ? 'ssml' : 'text',
+      VoiceId: voice.id,
+      Engine: 'neural'
+    }).promise();
+    fs.writeFileSync(outPath, data.AudioStream);
+    console.log(`[POLLY] Audio written: ${outPath}`);
+    return { characters: text.length };
+  },
+  // Word speech marks come back as newline-delimited JSON: { time (ms), type, value }
+  speechMarks: async (text, voice, options = {}) => {
+    console.log(`[POLLY] Requesting word speech marks [voice: ${voice.id}]`);
+    const polly = new AWS.Polly();
+    const data = await polly.synthesizeSpeech({
+      OutputFormat: 'json',
+      SpeechMarkTypes: ['word'],
+      Text: text,
+      TextType: options.ssml ? 'ssml' : 'text',
+      VoiceId: voice.id,
+      Engine: 'neural'
+    }).promise();
+    return Buffer.from(data.AudioStream).toString('utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(l => JSON.parse(l));
+  }
+});
+
+// --- ElevenLabs ---
+registerProvider({
+  id: 'elevenlabs',
+  label: 'ElevenLabs',
+  limits: { maxChars: 5000 },
+  capabilities: { ssml: false, speechMarks: false, offline: false, voiceSettings: true },
+  isAvailable: () => !!process.env.ELEVENLABS_API_KEY,
+  voices: [
+    { id: "GL7nH05mDrxcH1JPJK5T", name: "Aimee (ASMR Gentle)", description: "ASMR Gentle Whisper", tier: "ASMR", gender: "female", voiceSettings: { stability: 0.8, similarity: 0.8, style: 0.1 } }
+  ],
+  synthesize: (text, voice, outPath, options = {}) =>
+    generateElevenLabsTTS(text, voice.id, outPath, { voiceSettings: { ...voice.voiceSettings, ...options.voiceSettings } })
+});
+
+// --- Google Cloud TTS ---
+registerProvider({
+  id: 'google',
+  label: 'Google Cloud TTS',
+  limits: { maxChars: 5000 },
+  capabilities: { ssml: true, speechMarks: false, offline: false },
+  isAvailable: () => !!process.env.GOOGLE_APPLICATION_CREDENTIALS,
+  voices: GOOGLE_VOICES,
+  synthesize: (text, voice, outPath, options = {}) =>
+    generateGoogleTTS(text, voice.id, outPath, { languageCode: voice.languageCode, ssml: options.ssml })
+});
+
+// --- Local offline engine (espeak-ng → wav → mp3). Last resort, never listed in the UI. ---
+registerProvider({
+  id: 'local',
+  label: 'Local (espeak-ng)',
+  limits: { maxChars: 10000 },
+  capabilities: { ssml: true, speechMarks: false, offline: true },
+  voices: [
+    { id: "local-en-male", name: "Local Male (offline)", description: "Offline fallback voice", tier: "Free", gender: "male", engineVoice: "en-us+m3", fallbackOnly: true },
+    { id: "local-en-female", name: "Local Female (offline)", description: "Offline fallback voice", tier: "Free", gender: "female", engineVoice: "en-us+f3", fallbackOnly: true }
+  ],
+  synthesize: async (text, voice, outPath, options = {}) => {
+    const wavPath = outPath.replace(/\.mp3$/i, '') + '-local.wav';
+    console.log(`[LOCAL-TTS] ${LOCAL_TTS_BIN} -v ${voice.engineVoice} → ${wavPath}`);
+    await new Promise((resolve, reject) => {
+      const args = ['-v', voice.engineVoice, '-s', '165', '-w', wavPath];
+      if (options.ssml) args.push('-m'); // espeak-ng reads SSML tags with -m
+      execFile(LOCAL_TTS_BIN, [...args, text], (err, stdout, stderr) => {
+        if (err) {
+          console.error('[LOCAL-TTS] Engine error:', err.message, stderr);
+          return reject(err);
+        }
+        resolve();
+      });
+    });
+    await new Promise((resolve, reject) => {
+      fs.mkdirSync(path.dirname(outPath), { recursive: true });
+      ffmpeg(wavPath)
+        .audioCodec('libmp3lame')
+        .audioFrequency(44100)
+        .outputOptions(['-y'])
+        .save(outPath)
+        .on('end', resolve)
+        .on('error', reject);
+    });
+    fs.rmSync(wavPath, { force: true });
+    console.log(`[LOCAL-TTS] Audio written: ${outPath}`);
+    return { characters: text.length };
+  }
+});
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  listVoices,
+  getVoice,
+  findEquivalentVoice,
+  synthesizeWithFallback,
+  getWordTimings
+};
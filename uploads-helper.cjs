@@ -0,0 +1,167 @@
+/* ===========================================================
+   UPLOADS HELPER – SocialStormAI
+   -----------------------------------------------------------
+   - User-uploaded scene media (videos and images)
+   - multer disk storage with size (UPLOAD_MAX_MB) and type limits
+   - Originals stored in R2 under uploads/<id><ext>, metadata under
+     uploads/<id>.json; a local copy of both is kept in uploads/
+   - Local copy missing (new container) → fetched back from R2
+   - **MAXIMUM LOGGING IN EVERY FUNCTION**
+   =========================================================== */
+
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const { PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+
+const UPLOADS_DIR = path.resolve(__dirname, 'uploads');
+const UPLOAD_TMP_DIR = path.join(UPLOADS_DIR, 'tmp');
+const UPLOAD_MAX_MB = parseFloat(process.env.UPLOAD_MAX_MB) || 200;
+const R2_VIDEOS_BUCKET = process.env.R2_VIDEOS_BUCKET || 'socialstorm-videos';
+
+const UPLOAD_TYPES = {
+  'video/mp4': { kind: 'video', ext: '.mp4' },
+  'video/quicktime': { kind: 'video', ext: '.mov' },
+  'video/webm': { kind: 'video', ext: '.webm' },
+  'image/jpeg': { kind: 'image', ext: '.jpg' },
+  'image/png': { kind: 'image', ext: '.png' },
+  'image/webp': { kind: 'image', ext: '.webp' }
+};
+
+// Upload ids are uuids; anything else never touches the filesystem
+const UPLOAD_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+fs.mkdirSync(UPLOAD_TMP_DIR, { recursive: true });
+
+// --- multer middleware: single "file" field, limited size and types ---
+const uploadMiddleware = multer({
+  dest: UPLOAD_TMP_DIR,
+  limits: { fileSize: Math.round(UPLOAD_MAX_MB * 1024 * 1024), files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (UPLOAD_TYPES[file.mimetype]) return cb(null, true);
+    console.warn(`[UPLOADS] Rejected type ${file.mimetype} (${file.originalname})`);
+    const err = new Error(`Unsupported file type: ${file.mimetype}`);
+    err.code = 'UNSUPPORTED_TYPE';
+    cb(err);
+  }
+}).single('file');
+
+function metaPath(id) {
+  return path.join(UPLOADS_DIR, `${id}.json`);
+}
+
+function metaKey(id) {
+  return `uploads/${id}.json`;
+}
+
+// --- Upload metadata by id: local copy first, then R2 (cached locally); null when unknown ---
+async function getUpload(id, s3Client) {
+  if (!UPLOAD_ID_RE.test(String(id || ''))) return null;
+  try {
+    return JSON.parse(fs.readFileSync(metaPath(id), 'utf8'));
+  } catch (_) { /* not on this container, try R2 */ }
+  if (!s3Client) return null;
+  try {
+    const resp = await s3Client.send(new GetObjectCommand({ Bucket: R2_VIDEOS_BUCKET, Key: metaKey(id) }));
+    const meta = JSON.parse(await resp.Body.transformToString());
+    fs.writeFileSync(metaPath(id), JSON.stringify(meta, null, 2));
+    console.log(`[UPLOADS] Restored metadata for ${id} from R2`);
+    return meta;
+  } catch (err) {
+    if (err.name !== 'NoSuchKey') console.warn(`[UPLOADS] Could not read metadata for ${id} from R2: ${err.message}`);
+    return null;
+  }
+}
+
+// --- Store a validated multer file: move into uploads/, push file and metadata to R2, keep a local copy ---
+// probe = { width, height, duration } from getVideoInfo in server.cjs.
+async function storeUpload(file, probe, s3Client) {
+  const type = UPLOAD_TYPES[file.mimetype];
+  const id = uuidv4();
+  const localPath = path.join(UPLOADS_DIR, `${id}${type.ext}`);
+  fs.renameSync(file.path, localPath);
+  const r2Key = `uploads/${id}${type.ext}`;
+  console.log(`[UPLOADS] Storing ${file.originalname} (${file.size} bytes) as ${id}`);
+
+  const meta = {
+    id,
+    kind: type.kind,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    width: probe.width || null,
+    height: probe.height || null,
+    duration: type.kind === 'video' ? probe.duration || null : null,
+    file: path.basename(localPath),
+    r2Key,
+    createdAt: new Date().toISOString()
+  };
+
+  try {
+    await s3Client.send(new PutObjectCommand({
+      Bucket: R2_VIDEOS_BUCKET,
+      Key: r2Key,
+      Body: fs.createReadStream(localPath),
+      ContentLength: file.size,
+      ContentType: file.mimetype
+    }));
+    console.log(`[UPLOADS] Uploaded to R2: ${r2Key}`);
+    // Metadata too, so a fresh container can still resolve the upload id
+    await s3Client.send(new PutObjectCommand({
+      Bucket: R2_VIDEOS_BUCKET,
+      Key: metaKey(id),
+      Body: JSON.stringify(meta),
+      ContentType: 'application/json'
+    }));
+  } catch (err) {
+    // The multer temp file was already moved; the caller's discardTempFile can't reach this copy
+    try { fs.unlinkSync(localPath); } catch (_) { /* already gone */ }
+    throw err;
+  }
+  fs.writeFileSync(metaPath(id), JSON.stringify(meta, null, 2));
+  return meta;
+}
+
+// --- Local path for an upload, restoring it from R2 when the local copy is gone ---
+async function resolveUploadFile(meta, s3Client) {
+  const localPath = path.join(UPLOADS_DIR, meta.file);
+  if (fs.existsSync(localPath) && fs.statSync(localPath).size === meta.size) return localPath;
+  console.log(`[UPLOADS] Local copy missing for ${meta.id}, fetching ${meta.r2Key} from R2`);
+  const resp = await s3Client.send(new GetObjectCommand({ Bucket: R2_VIDEOS_BUCKET, Key: meta.r2Key }));
+  const tmp = `${localPath}.part`;
+  try {
+    await new Promise((resolve, reject) => {
+      const writer = fs.createWriteStream(tmp);
+      resp.Body.pipe(writer);
+      resp.Body.on('error', err => {
+        writer.destroy();
+        reject(err);
+      });
+      writer.on('error', reject);
+      writer.on('finish', resolve);
+    });
+  } catch (err) {
+    try { fs.unlinkSync(tmp); } catch (_) { /* not written */ }
+    throw err;
+  }
+  fs.renameSync(tmp, localPath);
+  return localPath;
+}
+
+function discardTempFile(file) {
+  if (!file || !file.path) return;
+  try {
+    fs.unlinkSync(file.path);
+  } catch (_) { /* already gone */ }
+}
+
+module.exports = {
+  UPLOAD_TYPES,
+  UPLOAD_MAX_MB,
+  uploadMiddleware,
+  getUpload,
+  storeUpload,
+  resolveUploadFile,
+  discardTempFile
+};